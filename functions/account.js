@@ -0,0 +1,167 @@
+/**
+ * Account data export and deletion.
+ *
+ * exportAccount() bundles everything stored for a user into a ZIP:
+ *
+ *   manifest.json                           {format, exportedAt, uid, counts, files: [...], missing: [...]}
+ *   user.json                               user/{uid}
+ *   files/{fileID}.json                     file/{fileID}, trash included
+ *   files/{fileID}/{filename}               the original Storage object
+ *   analyses/{analysisID}.json              analysis/{analysisID}, with ratings and comments
+ *   resumes/{resumeId}/resume.json          users/{uid}/resumes/{resumeId}
+ *   resumes/{resumeId}/versions/{id}.json   its versions
+ *
+ * Timestamps are written as ISO strings and references as their paths.
+ *
+ * deleteAccountData() runs when the Auth user is deleted (exports.onUserDeleted
+ * in index.js) and removes the same data, plus the user's uploads, jobs, share
+ * links and usage counters. File documents are deleted like any other, so
+ * onFileDeleted's cleanupFile() also runs for each of them.
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const JSZip = require("jszip");
+
+const EXPORT_FORMAT = 1;
+
+/**
+ * Turns Firestore values into plain JSON
+ * @param {*} value - A field value
+ * @return {*} The value with Timestamps as ISO strings and references as paths
+ */
+function toJson(value) {
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (value instanceof admin.firestore.DocumentReference) return value.path;
+  if (value instanceof admin.firestore.GeoPoint) return {latitude: value.latitude, longitude: value.longitude};
+  if (Array.isArray(value)) return value.map(toJson);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toJson(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Makes a file name safe to use as a ZIP entry
+ * @param {string} name - The display name
+ * @return {string} The name without path separators
+ */
+function entryName(name) {
+  return String(name || "file").replace(/[\\/]+/g, "_").replace(/^\.+/, "") || "file";
+}
+
+/**
+ * Builds a user's data export
+ * @param {string} userId - The user
+ * @param {Object} bucket - The Storage bucket
+ * @return {Promise<Object>} {zip: a JSZip ready to generate, manifest}
+ */
+async function exportAccount(userId, bucket) {
+  const db = admin.firestore();
+  const [userDoc, files, analyses, resumes] = await Promise.all([
+    db.collection("user").doc(userId).get(),
+    db.collection("file").where("owner", "==", userId).get(),
+    db.collection("analysis").where("owner", "==", userId).get(),
+    db.collection("users").doc(userId).collection("resumes").get(),
+  ]);
+
+  const zip = new JSZip();
+  const json = (data) => JSON.stringify(toJson(data), null, 2);
+  zip.file("user.json", json(userDoc.exists ? userDoc.data() : {}));
+
+  const fileEntries = [];
+  const missing = [];
+  for (const doc of files.docs) {
+    const file = doc.data();
+    zip.file(`files/${doc.id}.json`, json(file));
+    // Only objects in the user's own folder belong in their export
+    if (!file.path || !file.path.startsWith(`${userId}/`)) continue;
+    try {
+      const [buffer] = await bucket.file(file.path).download();
+      const entry = `files/${doc.id}/${entryName(file.filename || file.path.split("/").pop())}`;
+      zip.file(entry, buffer);
+      fileEntries.push({fileID: doc.id, filename: file.filename || null, path: entry, bytes: buffer.length});
+    } catch (error) {
+      // A file can outlive its object (e.g. deleted by hand); the export goes on without it
+      if (error.code !== 404) throw error;
+      missing.push({fileID: doc.id, path: file.path});
+    }
+  }
+
+  analyses.docs.forEach((doc) => zip.file(`analyses/${doc.id}.json`, json(doc.data())));
+
+  let versionCount = 0;
+  for (const doc of resumes.docs) {
+    zip.file(`resumes/${doc.id}/resume.json`, json(doc.data()));
+    const versions = await doc.ref.collection("versions").get();
+    versions.docs.forEach((version) => zip.file(`resumes/${doc.id}/versions/${version.id}.json`, json(version.data())));
+    versionCount += versions.size;
+  }
+
+  const manifest = {
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    uid: userId,
+    counts: {
+      files: files.size,
+      storedObjects: fileEntries.length,
+      analyses: analyses.size,
+      resumes: resumes.size,
+      versions: versionCount,
+    },
+    files: fileEntries,
+    missing,
+  };
+  zip.file("manifest.json", JSON.stringify(manifest, null, 2));
+  return {zip, manifest};
+}
+
+/**
+ * Deletes every document a query returns
+ * @param {Object} query - A Firestore query
+ * @return {Promise<number>} How many were deleted
+ */
+async function deleteQuery(query) {
+  const snapshot = await query.get();
+  const writer = admin.firestore().bulkWriter();
+  snapshot.docs.forEach((doc) => writer.delete(doc.ref));
+  await writer.close();
+  return snapshot.size;
+}
+
+/**
+ * Removes all Firestore and Storage data of a deleted user
+ * @param {string} userId - The user
+ * @param {Object} bucket - The Storage bucket
+ * @return {Promise<Object>} How many documents of each kind were removed
+ */
+async function deleteAccountData(userId, bucket) {
+  const db = admin.firestore();
+  const byOwner = (collection) => db.collection(collection).where("owner", "==", userId);
+
+  // Files first: each deletion also clears the file's analyses and dedupe keys (onFileDeleted)
+  const files = await deleteQuery(byOwner("file"));
+  const [analyses, uploads, jobs, shares] = await Promise.all([
+    deleteQuery(byOwner("analysis")),
+    deleteQuery(byOwner("uploads")),
+    deleteQuery(byOwner("jobs")),
+    deleteQuery(byOwner("shares")),
+  ]);
+  await Promise.all([
+    db.recursiveDelete(db.collection("users").doc(userId)),
+    db.recursiveDelete(db.collection("usage").doc(userId)),
+  ]);
+  await db.collection("user").doc(userId).delete();
+
+  // Uploads and generated PDFs all live under the user's folder
+  await bucket.deleteFiles({prefix: `${userId}/`, force: true});
+
+  const counts = {files, analyses, uploads, jobs, shares};
+  logger.info("Account data deleted", {userId, ...counts});
+  return counts;
+}
+
+module.exports = {
+  exportAccount,
+  deleteAccountData,
+};
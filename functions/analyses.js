@@ -0,0 +1,291 @@
+/**
+ * A file's analyses: numbered in creation order and organized as a tree.
+ *
+ *   file/{fileID}            {numAnalysis, analysis: {1: "<fileID>-1", 2: "<fileID>-2", ...}}
+ *   analysis/{fileID}-{n}    {owner, fileID, ..., dedupeKey, nextAnalysis,
+ *                             parentAnalysisID, feedback: {rating, comment}, children: [analysisID]}
+ *   analysisKeys/{key}       {analysisID, fileID, createdAt}
+ *
+ * nextAnalysis links the analyses in creation order (what the dashboard's
+ * arrows follow). The tree records where each one came from: a regeneration's
+ * parent is the analysis that was rated, and `feedback` holds the rating and
+ * comment that produced it; uploads and job matches start new roots.
+ * getLineage() returns the whole tree of a file, and diffAnalyses() compares
+ * any two analyses of it.
+ *
+ * appendAnalysis() allocates n, creates the analysis, links it to the previous
+ * last analysis and to its parent, and records the dedupe key, all in one
+ * transaction on the file document. Concurrent appends are serialized by
+ * Firestore, so numbers are never reused and both links stay consistent.
+ *
+ * The dedupe key identifies the work that produced the analysis (the job, whose
+ * id comes from the Storage event or the client's requestId), so a retried
+ * trigger or job returns the analysis it already created instead of adding one.
+ */
+
+const admin = require("firebase-admin");
+const {HttpError} = require("./auth");
+
+/**
+ * Returns the Firestore reference of a dedupe key
+ * @param {string} dedupeKey - e.g. a jobId
+ * @return {Object} DocumentReference
+ */
+function keyRef(dedupeKey) {
+  return admin.firestore().collection("analysisKeys").doc(dedupeKey);
+}
+
+/**
+ * Looks up the analysis already created for a dedupe key, so callers can skip the LLM call on a retry
+ * @param {string} [dedupeKey] - The key passed to appendAnalysis()
+ * @return {Promise<string|null>} The analysisID, or null
+ */
+async function findAnalysis(dedupeKey) {
+  if (!dedupeKey) return null;
+  const doc = await keyRef(dedupeKey).get();
+  return doc.exists ? doc.data().analysisID : null;
+}
+
+/**
+ * Adds an analysis at the end of a file's chain, at most once per dedupe key
+ * @param {string} fileID - The file
+ * @param {Object} data - Analysis fields ({type, content, validation, model, provider, ...})
+ * @param {Object} [options] - Options
+ * @param {string} [options.dedupeKey] - Identifies the work that produced the analysis
+ * @param {Object} [options.fileUpdate] - Extra fields to set on the file document
+ * @param {string} [options.parentAnalysisID] - The analysis this one was derived from (same file)
+ * @return {Promise<{analysisID: string, created: boolean}>} created is false for a duplicate
+ */
+async function appendAnalysis(fileID, data, {dedupeKey = null, fileUpdate = {}, parentAnalysisID = null} = {}) {
+  const db = admin.firestore();
+  const fileRef = db.collection("file").doc(fileID);
+  const parentRef = parentAnalysisID ? db.collection("analysis").doc(parentAnalysisID) : null;
+
+  return db.runTransaction(async (transaction) => {
+    const [keyDoc, fileDoc, parentDoc] = await Promise.all([
+      dedupeKey ? transaction.get(keyRef(dedupeKey)) : null,
+      transaction.get(fileRef),
+      parentRef ? transaction.get(parentRef) : null,
+    ]);
+    if (keyDoc && keyDoc.exists) {
+      return {analysisID: keyDoc.data().analysisID, created: false};
+    }
+    if (!fileDoc.exists) {
+      throw new HttpError(404, "not-found", `File document not found for fileID: ${fileID}`);
+    }
+    if (parentDoc && (!parentDoc.exists || parentDoc.data().fileID !== fileID)) {
+      throw new HttpError(400, "invalid-argument", "The parent analysis does not belong to this file.");
+    }
+
+    const file = fileDoc.data();
+    const numAnalysis = file.numAnalysis || 0;
+    const newIndex = numAnalysis + 1;
+    const analysisID = `${fileID}-${newIndex}`;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    transaction.update(fileRef, {
+      lastUpdate: now,
+      numAnalysis: newIndex,
+      [`analysis.${newIndex}`]: analysisID,
+      ...fileUpdate,
+    });
+
+    // create() fails the transaction instead of overwriting an existing analysis
+    transaction.create(db.collection("analysis").doc(analysisID), {
+      owner: file.owner || "",
+      fileID,
+      feedback: null,
+      ...data,
+      dedupeKey,
+      parentAnalysisID,
+      children: [],
+      generateTime: now,
+      userRating: null,
+      userComment: null,
+      nextAnalysis: null,
+    });
+
+    // Keep the `nextAnalysis` chain and the parent's children linked to the new
+    // entry (one write when the parent is also the previous analysis)
+    const links = {};
+    const previousAnalysisID = file.analysis?.[numAnalysis];
+    if (previousAnalysisID) links[previousAnalysisID] = {nextAnalysis: analysisID};
+    if (parentAnalysisID) {
+      links[parentAnalysisID] = {...links[parentAnalysisID], children: admin.firestore.FieldValue.arrayUnion(analysisID)};
+    }
+    for (const [id, update] of Object.entries(links)) {
+      transaction.set(db.collection("analysis").doc(id), update, {merge: true});
+    }
+
+    if (dedupeKey) {
+      transaction.set(keyRef(dedupeKey), {analysisID, fileID, createdAt: now});
+    }
+    return {analysisID, created: true};
+  });
+}
+
+/**
+ * Position of an analysis in its file, from its id (`<fileID>-<n>`)
+ * @param {string} analysisID - The analysis
+ * @return {number} n, or 0 if the id has another shape
+ */
+function analysisIndex(analysisID) {
+  const match = /-(\d+)$/.exec(analysisID);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Returns every analysis of a file as a tree. Analyses saved before parents
+ * were recorded are attached to the analysis whose nextAnalysis points at them,
+ * which is how regenerations used to be linked.
+ * @param {string} fileID - The file
+ * @return {Promise<Object>} {fileID, roots: [analysisID], nodes: [{analysisID, index, parentAnalysisID,
+ *   children, depth, type, feedback, userRating, userComment, summary, score, model, provider,
+ *   validationStatus, generateTime}]}, nodes in creation order
+ */
+async function getLineage(fileID) {
+  const snapshot = await admin.firestore().collection("analysis").where("fileID", "==", fileID).get();
+  const docs = new Map(snapshot.docs.map((doc) => [doc.id, doc.data()]));
+
+  const legacyParents = {};
+  for (const [id, analysis] of docs) {
+    if (analysis.nextAnalysis && docs.has(analysis.nextAnalysis)) legacyParents[analysis.nextAnalysis] = id;
+  }
+
+  const nodes = new Map();
+  for (const [id, analysis] of docs) {
+    let parentAnalysisID = analysis.parentAnalysisID;
+    if (parentAnalysisID === undefined) {
+      parentAnalysisID = analysis.type === "targeted" ? null : legacyParents[id] || null;
+    }
+    if (parentAnalysisID && !docs.has(parentAnalysisID)) parentAnalysisID = null;
+
+    nodes.set(id, {
+      analysisID: id,
+      index: analysisIndex(id),
+      parentAnalysisID,
+      children: [],
+      depth: 0,
+      type: analysis.type || "generic",
+      feedback: analysis.feedback ||
+        (parentAnalysisID && docs.get(parentAnalysisID).userRating ?
+          {rating: docs.get(parentAnalysisID).userRating, comment: docs.get(parentAnalysisID).userComment} : null),
+      userRating: analysis.userRating ?? null,
+      userComment: analysis.userComment ?? null,
+      summary: analysis.content?.summary || null,
+      score: analysis.score ?? null,
+      model: analysis.model || null,
+      provider: analysis.provider || null,
+      validationStatus: analysis.validation?.status || null,
+      generateTime: analysis.generateTime ? analysis.generateTime.toDate().toISOString() : null,
+    });
+  }
+
+  const ordered = [...nodes.values()].sort((a, b) => a.index - b.index);
+  const roots = [];
+  for (const node of ordered) {
+    if (node.parentAnalysisID) {
+      nodes.get(node.parentAnalysisID).children.push(node.analysisID);
+    } else {
+      roots.push(node.analysisID);
+    }
+  }
+
+  // Depths, walking down from the roots (parents always have a lower index)
+  const visit = (id, depth) => {
+    const node = nodes.get(id);
+    node.depth = depth;
+    node.children.forEach((childID) => visit(childID, depth + 1));
+  };
+  roots.forEach((id) => visit(id, 0));
+
+  return {fileID, roots, nodes: ordered};
+}
+
+// List fields compared by diffAnalyses(), as paths into analysis.content
+const DIFF_LIST_FIELDS = [
+  "strengths", "gaps", "suggested_improvements", "role_suggestions",
+  "keywords.skills", "keywords.tools", "keywords.domains",
+  "matched_keywords", "missing_keywords", // job matches
+];
+
+/**
+ * Reads a dotted path (e.g. "keywords.skills") from an object
+ * @param {Object} object - The object
+ * @param {string} path - The path
+ * @return {*} The value, or undefined
+ */
+function valueAt(object, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Compares two lists of strings, ignoring case and surrounding whitespace
+ * @param {Array} before - Items of the older analysis
+ * @param {Array} after - Items of the newer analysis
+ * @return {{added: Array<string>, removed: Array<string>, kept: Array<string>}} Items as worded in `after`
+ *   (`removed` as worded in `before`)
+ */
+function diffList(before, after) {
+  const normalize = (item) => String(item).trim().toLowerCase();
+  const beforeItems = (Array.isArray(before) ? before : []).map(String);
+  const afterItems = (Array.isArray(after) ? after : []).map(String);
+  const beforeKeys = new Set(beforeItems.map(normalize));
+  const afterKeys = new Set(afterItems.map(normalize));
+  return {
+    added: afterItems.filter((item) => !beforeKeys.has(normalize(item))),
+    removed: beforeItems.filter((item) => !afterKeys.has(normalize(item))),
+    kept: afterItems.filter((item) => beforeKeys.has(normalize(item))),
+  };
+}
+
+/**
+ * Compares two analyses field by field
+ * @param {Object} from - The older analysis document (with analysisID)
+ * @param {Object} to - The newer analysis document (with analysisID)
+ * @return {Object} {from, to, summary: {from, to, changed}, lists: {field: {added, removed, kept}},
+ *   seniority: {from, to, changed}, score: {from, to, delta}, changedFields: [field]}
+ */
+function diffAnalyses(from, to) {
+  const before = from.content || {};
+  const after = to.content || {};
+  const describe = (analysis) => ({
+    analysisID: analysis.analysisID,
+    index: analysisIndex(analysis.analysisID),
+    type: analysis.type || "generic",
+    model: analysis.model || null,
+    feedback: analysis.feedback || null,
+  });
+
+  const lists = {};
+  const changedFields = [];
+  for (const field of DIFF_LIST_FIELDS) {
+    const previous = valueAt(before, field);
+    const next = valueAt(after, field);
+    if (previous === undefined && next === undefined) continue;
+    lists[field] = diffList(previous, next);
+    if (lists[field].added.length || lists[field].removed.length) changedFields.push(field);
+  }
+
+  const summary = {from: before.summary || null, to: after.summary || null};
+  summary.changed = summary.from !== summary.to;
+  if (summary.changed) changedFields.unshift("summary");
+
+  const seniority = {from: before.keywords?.seniority || null, to: after.keywords?.seniority || null};
+  seniority.changed = seniority.from !== seniority.to;
+  if (seniority.changed) changedFields.push("keywords.seniority");
+
+  const scores = {from: from.score ?? null, to: to.score ?? null};
+  const score = scores.from === null && scores.to === null ? null :
+    {...scores, delta: scores.from !== null && scores.to !== null ? scores.to - scores.from : null};
+  if (score && score.delta !== 0) changedFields.push("score");
+
+  return {from: describe(from), to: describe(to), summary, lists, seniority, score, changedFields};
+}
+
+module.exports = {
+  findAnalysis,
+  appendAnalysis,
+  getLineage,
+  diffAnalyses,
+};
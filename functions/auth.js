@@ -0,0 +1,127 @@
+/**
+ * Authentication and authorization for the HTTPS functions.
+ *
+ * Clients send their Firebase ID token as `Authorization: Bearer <token>`.
+ * Handlers are wrapped with withAuth(), which verifies the token and passes the
+ * decoded user on; ownership checks throw an HttpError, which sendError() turns
+ * into a typed JSON response: {error, code}.
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+/**
+ * An error with an HTTP status and a machine-readable code
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status, e.g. 401
+   * @param {string} code - e.g. "unauthenticated"
+   * @param {string} message - Human-readable message
+   * @param {Object} [details] - Extra fields for the response body (e.g. {resetAt})
+   */
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Verifies the request's Firebase ID token
+ * @param {Object} req - The HTTPS request
+ * @return {Promise<Object>} The decoded token ({uid, email, ...})
+ */
+async function verifyRequest(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+  if (!match) {
+    throw new HttpError(401, "unauthenticated", "Missing Authorization: Bearer <ID token> header.");
+  }
+
+  try {
+    return await admin.auth().verifyIdToken(match[1]);
+  } catch (error) {
+    logger.warn("ID token verification failed", {message: error.message});
+    throw new HttpError(401, "unauthenticated", "Invalid or expired ID token. Please sign in again.");
+  }
+}
+
+/**
+ * Checks that a resource belongs to the signed-in user
+ * @param {Object} user - The decoded token
+ * @param {string} ownerId - The owner of the resource (e.g. file.owner)
+ * @param {string} [what] - What the resource is, for the error message
+ */
+function assertOwner(user, ownerId, what = "resource") {
+  if (!ownerId || ownerId !== user.uid) {
+    throw new HttpError(403, "permission-denied", `You do not have access to this ${what}.`);
+  }
+}
+
+/**
+ * Checks that the signed-in user is an administrator (custom claim `admin: true`,
+ * set with admin.auth().setCustomUserClaims())
+ * @param {Object} user - The decoded token
+ */
+function assertAdmin(user) {
+  if (user.admin !== true) {
+    throw new HttpError(403, "permission-denied", "This operation is restricted to administrators.");
+  }
+}
+
+/**
+ * Returns the signed-in user's uid; a userId in the request body must match it
+ * @param {Object} user - The decoded token
+ * @param {string} [requestedUserId] - userId sent by the client, if any
+ * @return {string} The uid
+ */
+function resolveUserId(user, requestedUserId) {
+  if (requestedUserId && requestedUserId !== user.uid) {
+    throw new HttpError(403, "permission-denied", "userId does not match the signed-in user.");
+  }
+  return user.uid;
+}
+
+/**
+ * Sends an error response: HttpErrors keep their status, anything else is a 500
+ * @param {Object} res - The HTTPS response
+ * @param {Error} error - The error
+ */
+function sendError(res, error) {
+  if (error instanceof HttpError) {
+    if (error.details.retryAfterSeconds) res.set("Retry-After", String(error.details.retryAfterSeconds));
+    res.status(error.status).send({...error.details, error: error.message, code: error.code});
+    return;
+  }
+  res.status(500).send({error: error.message, code: "internal"});
+}
+
+/**
+ * Wraps an onRequest handler so it only runs for a signed-in user
+ * @param {Function} handler - Called as handler(req, res, user)
+ * @return {Function} The wrapped handler
+ */
+function withAuth(handler) {
+  return async (req, res) => {
+    let user;
+    try {
+      user = await verifyRequest(req);
+    } catch (error) {
+      sendError(res, error);
+      return;
+    }
+    return handler(req, res, user);
+  };
+}
+
+module.exports = {
+  HttpError,
+  verifyRequest,
+  assertOwner,
+  assertAdmin,
+  resolveUserId,
+  sendError,
+  withAuth,
+};
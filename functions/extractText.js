@@ -0,0 +1,173 @@
+/**
+ * Text extraction for uploaded resumes.
+ *
+ * Supports PDF (via pdf-parse), Word .docx and OpenDocument .odt (both are
+ * zipped XML, read via jszip), plain text and Markdown. PNG/JPEG images, and
+ * PDFs with next to no text layer (scans), go through OCR (see ./ocr.js).
+ */
+
+const pdfParse = require("pdf-parse");
+const JSZip = require("jszip");
+const {ocrImage, ocrPdf} = require("./ocr");
+
+// Extension -> human readable type, used for the `file.fileType` field
+const SUPPORTED_TYPES = {
+  pdf: "PDF",
+  docx: "Word",
+  odt: "OpenDocument",
+  txt: "Plain text",
+  md: "Markdown",
+  png: "PNG image",
+  jpg: "JPEG image",
+  jpeg: "JPEG image",
+};
+
+// Less text than this (ignoring whitespace) means there is nothing to analyze
+const MIN_TEXT_CHARS = 50;
+
+/**
+ * Returns the lower-cased extension of a storage path (without the dot)
+ * @param {string} filePath - The file path in Firebase Storage
+ * @return {string} The extension, or "" if there is none
+ */
+function getExtension(filePath) {
+  const name = (filePath || "").split("/").pop();
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+}
+
+/**
+ * Checks whether text can be extracted from the given file
+ * @param {string} filePath - The file path in Firebase Storage
+ * @return {boolean} True iff the extension is supported
+ */
+function isSupported(filePath) {
+  return Object.prototype.hasOwnProperty.call(SUPPORTED_TYPES, getExtension(filePath));
+}
+
+/**
+ * Decodes the XML entities used in docx/odt documents
+ * @param {string} text - XML text content
+ * @return {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, "\"")
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+}
+
+/**
+ * Strips tags from a document XML body, keeping paragraph/line breaks
+ * @param {string} xml - The document XML
+ * @return {string} Plain text
+ */
+function xmlToText(xml) {
+  const text = xml
+      // Word: tabs, line breaks, paragraph ends
+      .replace(/<w:tab\/>/g, "\t")
+      .replace(/<w:(br|cr)\/>/g, "\n")
+      .replace(/<\/w:p>/g, "\n")
+      // OpenDocument: tabs, repeated spaces, line breaks, paragraph/heading ends
+      .replace(/<text:tab\/>/g, "\t")
+      .replace(/<text:s text:c="(\d+)"\/>/g, (_, n) => " ".repeat(Number(n)))
+      .replace(/<text:s\/>/g, " ")
+      .replace(/<text:line-break\/>/g, "\n")
+      .replace(/<\/text:(p|h)>/g, "\n")
+      .replace(/<[^>]+>/g, "");
+  return decodeEntities(text).replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Counts the characters of a text that are not whitespace
+ * @param {string} text - The text
+ * @return {number} The count
+ */
+function textLength(text) {
+  return (text || "").replace(/\s/g, "").length;
+}
+
+/**
+ * Reads the text layer of a file, without OCR
+ * @param {Buffer} buffer - The downloaded file content
+ * @param {string} filePath - The file path in Firebase Storage (used for its extension)
+ * @return {Promise<string>} The extracted text
+ */
+async function readTextLayer(buffer, filePath) {
+  const ext = getExtension(filePath);
+
+  switch (ext) {
+    case "pdf":
+      // pdf-parse's bundled pdf.js reads `buffer.buffer` and ignores byteOffset, which breaks
+      // on small (pooled) Buffers with "bad XRef entry"; hand it a zero-offset copy
+      return (await pdfParse(new Uint8Array(buffer))).text || "";
+
+    case "docx":
+    case "odt": {
+      const zip = await JSZip.loadAsync(buffer);
+      const entry = zip.file(ext === "docx" ? "word/document.xml" : "content.xml");
+      if (!entry) {
+        throw new Error(`Malformed ${SUPPORTED_TYPES[ext]} document: ${filePath}`);
+      }
+      return xmlToText(await entry.async("string"));
+    }
+
+    case "txt":
+    case "md":
+      return buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+    default:
+      throw new Error(`Unsupported file type: .${ext || "(none)"}`);
+  }
+}
+
+/**
+ * Extracts plain text from a resume file, with OCR for images and scanned PDFs
+ * @param {Buffer} buffer - The downloaded file content
+ * @param {string} filePath - The file path in Firebase Storage (used for its extension)
+ * @return {Promise<Object>} {text, method: "text"|"ocr", confidence}; confidence is the OCR's 0-100 mean word
+ *   confidence, null for text read from the file
+ */
+async function extractContent(buffer, filePath) {
+  const ext = getExtension(filePath);
+  if (ext === "png" || ext === "jpg" || ext === "jpeg") {
+    const {text, confidence} = await ocrImage(buffer);
+    return {text: text.trim(), method: "ocr", confidence: Math.round(confidence)};
+  }
+
+  const text = await readTextLayer(buffer, filePath);
+  if (ext !== "pdf" || textLength(text) >= MIN_TEXT_CHARS) {
+    return {text, method: "text", confidence: null};
+  }
+
+  // A scan: recognize the page images, unless that finds even less
+  const ocr = await ocrPdf(buffer);
+  if (textLength(ocr.text) <= textLength(text)) {
+    return {text, method: "text", confidence: null};
+  }
+  return {text: ocr.text, method: "ocr", confidence: ocr.confidence === null ? null : Math.round(ocr.confidence)};
+}
+
+/**
+ * Extracts plain text from a resume file (see extractContent())
+ * @param {Buffer} buffer - The downloaded file content
+ * @param {string} filePath - The file path in Firebase Storage (used for its extension)
+ * @return {Promise<string>} The extracted text
+ */
+async function extractText(buffer, filePath) {
+  return (await extractContent(buffer, filePath)).text;
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  MIN_TEXT_CHARS,
+  getExtension,
+  isSupported,
+  textLength,
+  extractContent,
+  extractText,
+};
@@ -0,0 +1,275 @@
+/**
+ * File lifecycle: rename, archive, delete with a restore window, and the cleanup
+ * that runs when a file document is finally removed.
+ *
+ *   file/{fileID}  {..., archived, archivedAt, deleted, deletedAt, purgeAfter}
+ *
+ * Archived files stay in `user.files` and are only hidden by the dashboard.
+ * Deleting moves a file to the trash: it leaves `user.files` and is restorable
+ * until purgeAfter (RESTORE_DAYS later). purgeDeletedFiles() then removes the
+ * document, and removing a file document by any means (purge, permanent delete,
+ * or by hand in the console) runs cleanupFile() (exports.onFileDeleted in
+ * index.js): the Storage object, all analyses and their dedupe keys, its share
+ * links, the `user.files` entry and the generated-version link go with it.
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const {HttpError} = require("./auth");
+
+const RESTORE_DAYS = 30;
+const MAX_FILENAME_LENGTH = 200;
+const PURGE_BATCH_SIZE = 200;
+const NOT_FOUND = 5; // gRPC status of an update to a missing document
+
+/**
+ * Reads a file for a lifecycle change
+ * @param {string} fileID - The file
+ * @param {string} userId - The signed-in user, who must own it
+ * @return {Promise<Object>} {ref, file}
+ */
+async function ownedFile(fileID, userId) {
+  const ref = admin.firestore().collection("file").doc(fileID);
+  const doc = await ref.get();
+  if (!doc.exists) throw new HttpError(404, "not-found", "File document not found.");
+  if (doc.data().owner !== userId) {
+    throw new HttpError(403, "permission-denied", "You do not have access to this file.");
+  }
+  return {ref, file: doc.data()};
+}
+
+/**
+ * Returns the Storage path of a file, which must be in its owner's folder
+ * (`{owner}/...`, the only place storage.rules lets the owner write)
+ * @param {Object} file - The file document's data
+ * @return {string} The path
+ */
+function ownedPath(file) {
+  if (!file.owner || typeof file.path !== "string" || !file.path.startsWith(`${file.owner}/`)) {
+    throw new HttpError(403, "permission-denied", "This file is not stored in its owner's folder.");
+  }
+  return file.path;
+}
+
+/**
+ * Renames a file (the display name; the Storage path is kept)
+ * @param {string} fileID - The file
+ * @param {string} userId - The owner
+ * @param {string} filename - The new name
+ * @return {Promise<Object>} {fileID, filename}
+ */
+async function renameFile(fileID, userId, filename) {
+  const name = String(filename ?? "").trim();
+  const hasControl = [...name].some((char) => char.charCodeAt(0) < 0x20);
+  if (!name || name.length > MAX_FILENAME_LENGTH || /[\\/]/.test(name) || hasControl) {
+    throw new HttpError(400, "invalid-argument",
+        `The name must be 1-${MAX_FILENAME_LENGTH} characters without slashes or control characters.`);
+  }
+  const {ref, file} = await ownedFile(fileID, userId);
+  if (file.deleted) throw new HttpError(409, "failed-precondition", "Restore the file before renaming it.");
+
+  await ref.update({filename: name, lastUpdate: admin.firestore.FieldValue.serverTimestamp()});
+  return {fileID, filename: name};
+}
+
+/**
+ * Archives or unarchives a file
+ * @param {string} fileID - The file
+ * @param {string} userId - The owner
+ * @param {boolean} archived - The new state
+ * @return {Promise<Object>} {fileID, archived}
+ */
+async function archiveFile(fileID, userId, archived) {
+  const {ref, file} = await ownedFile(fileID, userId);
+  if (file.deleted) throw new HttpError(409, "failed-precondition", "Restore the file before archiving it.");
+
+  await ref.update({
+    archived: Boolean(archived),
+    archivedAt: archived ? admin.firestore.FieldValue.serverTimestamp() : null,
+    lastUpdate: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return {fileID, archived: Boolean(archived)};
+}
+
+/**
+ * Moves a file to the trash, or removes it right away
+ * @param {string} fileID - The file
+ * @param {string} userId - The owner
+ * @param {Object} [options] - {permanent: skip the restore window}
+ * @return {Promise<Object>} {fileID, deleted: true, permanent, purgeAfter}
+ */
+async function deleteFile(fileID, userId, {permanent = false} = {}) {
+  const {ref} = await ownedFile(fileID, userId);
+  if (permanent) {
+    // onFileDeleted does the cleanup
+    await ref.delete();
+    return {fileID, deleted: true, permanent: true, purgeAfter: null};
+  }
+
+  const purgeAfter = admin.firestore.Timestamp.fromMillis(Date.now() + RESTORE_DAYS * 24 * 60 * 60 * 1000);
+  const db = admin.firestore();
+  const batch = db.batch();
+  batch.update(ref, {
+    deleted: true,
+    deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+    purgeAfter,
+    lastUpdate: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  batch.set(db.collection("user").doc(userId), {
+    files: admin.firestore.FieldValue.arrayRemove(fileID),
+  }, {merge: true});
+  await batch.commit();
+  return {fileID, deleted: true, permanent: false, purgeAfter: purgeAfter.toDate().toISOString()};
+}
+
+/**
+ * Takes a file out of the trash
+ * @param {string} fileID - The file
+ * @param {string} userId - The owner
+ * @return {Promise<Object>} {fileID, restored: true}
+ */
+async function restoreFile(fileID, userId) {
+  const {ref, file} = await ownedFile(fileID, userId);
+  if (!file.deleted) throw new HttpError(409, "failed-precondition", "This file is not in the trash.");
+
+  const db = admin.firestore();
+  const batch = db.batch();
+  batch.update(ref, {
+    deleted: false,
+    deletedAt: null,
+    purgeAfter: null,
+    lastUpdate: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  batch.set(db.collection("user").doc(userId), {
+    files: admin.firestore.FieldValue.arrayUnion(fileID),
+  }, {merge: true});
+  await batch.commit();
+  return {fileID, restored: true};
+}
+
+/**
+ * Lists a user's trash, most recently deleted first
+ * @param {string} userId - The user
+ * @return {Promise<Array<Object>>} [{fileID, filename, type, deletedAt, purgeAfter}]
+ */
+async function listDeletedFiles(userId) {
+  const snapshot = await admin.firestore().collection("file")
+      .where("owner", "==", userId)
+      .where("deleted", "==", true)
+      .get();
+  const iso = (timestamp) => (timestamp ? timestamp.toDate().toISOString() : null);
+  return snapshot.docs
+      .map((doc) => ({
+        fileID: doc.id,
+        filename: doc.data().filename || "",
+        type: doc.data().type || "Upload",
+        deletedAt: iso(doc.data().deletedAt),
+        purgeAfter: iso(doc.data().purgeAfter),
+      }))
+      .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+}
+
+/**
+ * Removes the documents of files whose restore window is over (their cleanup follows in onFileDeleted)
+ * @return {Promise<number>} The number of files purged
+ */
+async function purgeDeletedFiles() {
+  const db = admin.firestore();
+  let purged = 0;
+  for (;;) {
+    const snapshot = await db.collection("file")
+        .where("deleted", "==", true)
+        .where("purgeAfter", "<=", admin.firestore.Timestamp.now())
+        .limit(PURGE_BATCH_SIZE)
+        .get();
+    if (snapshot.empty) break;
+
+    const writer = db.bulkWriter();
+    snapshot.docs.forEach((doc) => writer.delete(doc.ref));
+    await writer.close();
+    purged += snapshot.size;
+    if (snapshot.size < PURGE_BATCH_SIZE) break;
+  }
+  logger.info("Purged deleted files", {purged});
+  return purged;
+}
+
+/**
+ * Lets an update of a document that no longer exists pass
+ * @param {Promise} write - The update
+ * @return {Promise<void>}
+ */
+async function ignoreNotFound(write) {
+  try {
+    await write;
+  } catch (error) {
+    if (error.code !== NOT_FOUND) throw error;
+  }
+}
+
+/**
+ * Removes everything that belongs to a file whose document was deleted
+ * @param {string} fileID - The file
+ * @param {Object} file - The deleted document's data
+ * @param {Object} bucket - The Storage bucket
+ * @return {Promise<Object>} {analyses, keys, shares} - how many documents were removed
+ */
+async function cleanupFile(fileID, file, bucket) {
+  const db = admin.firestore();
+
+  // Only an object in the owner's folder is theirs to delete
+  if (file.owner && file.path?.startsWith(`${file.owner}/`)) {
+    await bucket.file(file.path).delete({ignoreNotFound: true});
+  } else if (file.path) {
+    logger.warn("Kept a Storage object outside the file owner's folder", {fileID, path: file.path});
+  }
+
+  const [analyses, keys, shares] = await Promise.all([
+    db.collection("analysis").where("fileID", "==", fileID).get(),
+    db.collection("analysisKeys").where("fileID", "==", fileID).get(),
+    db.collection("shares").where("fileID", "==", fileID).get(),
+  ]);
+  const writer = db.bulkWriter();
+  analyses.docs.forEach((doc) => writer.delete(doc.ref));
+  keys.docs.forEach((doc) => writer.delete(doc.ref));
+  shares.docs.forEach((doc) => writer.delete(doc.ref));
+  await writer.close();
+
+  if (file.owner) {
+    // Either may already be gone when the whole account is being deleted
+    await ignoreNotFound(db.collection("user").doc(file.owner).update({
+      files: admin.firestore.FieldValue.arrayRemove(fileID),
+    }));
+
+    // The resume version keeps its data; only its link to the PDF goes
+    if (file.resumeId && file.versionId) {
+      const versionRef = db.collection("users").doc(file.owner)
+          .collection("resumes").doc(file.resumeId)
+          .collection("versions").doc(file.versionId);
+      const versionDoc = await versionRef.get();
+      if (versionDoc.exists && versionDoc.data().fileID === fileID) {
+        await ignoreNotFound(versionRef.update({
+          fileID: null,
+          firebase_path: null,
+          gcs_uri: null,
+        }));
+      }
+    }
+  }
+
+  const counts = {analyses: analyses.size, keys: keys.size, shares: shares.size};
+  logger.info("File cleaned up", {fileID, ...counts});
+  return counts;
+}
+
+module.exports = {
+  RESTORE_DAYS,
+  ownedPath,
+  renameFile,
+  archiveFile,
+  deleteFile,
+  restoreFile,
+  listDeletedFiles,
+  purgeDeletedFiles,
+  cleanupFile,
+};
@@ -33,118 +33,97 @@ setGlobalOptions({maxInstances: 10});
 
 // Firebase Functions v2 (Storage)
 const {onObjectFinalized} = require("firebase-functions/v2/storage");
+const {onDocumentCreated, onDocumentDeleted} = require("firebase-functions/v2/firestore");
+const {onSchedule} = require("firebase-functions/v2/scheduler");
 // const logger = require("firebase-functions/logger");
 
 const admin = require("firebase-admin");
-const pdfParse = require("pdf-parse");
 const {Storage} = require("@google-cloud/storage");
-const {VertexAI} = require("@google-cloud/vertexai");
+const {SUPPORTED_TYPES, MIN_TEXT_CHARS, getExtension, isSupported, textLength, extractText} = require("./extractText");
+const {generateValidatedJson} = require("./structuredOutput");
+const {getModel, resolveModelChoice} = require("./llm");
+const {savePdf} = require("./pdfRenderer");
+const {DEFAULT_TEMPLATE, TEMPLATES, listTemplates, renderResumeHtml, renderResumePdf} = require("./templates");
+const {resumeRef, pickResumeData, createVersion, reviewImport, createResume} = require("./resumes");
+const {HttpError, assertOwner, assertAdmin, resolveUserId, sendError, withAuth} = require("./auth");
+const {consumeQuota, getUsage} = require("./quota");
+const {jobIdFor, jobExists, createJob, runJob} = require("./jobs");
+const {registerUpload} = require("./uploads");
+const {ownedPath, renameFile, archiveFile, deleteFile, restoreFile, listDeletedFiles, purgeDeletedFiles,
+  cleanupFile} = require("./files");
+const {findAnalysis, appendAnalysis, getLineage, diffAnalyses} = require("./analyses");
+const {RUBRIC_VERSION, scoreRubric, getProgress} = require("./rubric");
+const {REGENERATION_PROMPTS, REGENERATION_PROMPT_VERSION, JOB_MATCH_PROMPTS, JOB_MATCH_PROMPT_VERSION,
+  pickAnalysisPrompt} = require("./prompts");
+const {aggregateRatings} = require("./ratings");
+const {importPostings, rankPostings} = require("./postings");
+const {listJobBoards, getPreferences, savePreferences, buildLinks} = require("./jobBoards");
+const {exportAccount, deleteAccountData} = require("./account");
+const {createShare, listShares, revokeShare, openShare, renderSharePage, renderShareError} = require("./shares");
+// Auth user deletion has no v2 trigger
+const functionsV1 = require("firebase-functions/v1");
 
 admin.initializeApp();
 const gcs = new Storage();
 
-// --- configure your region & project ---
-const PROJECT_ID = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+// --- configure your region ---
+// Project, Vertex region and model selection live in ./llm.js
 const LOCATION = "us-west1"; // "us-central1"; // match your Vertex region
 
-// Pick an available model in your project
-const GENERATION_MODEL = "gemini-2.5-flash"; // "gemini-2.5-flash-001"; // or a *-latest visible in your project
-
 // Extracted into function
 
 /**
- * Analyzes resume text using Vertex AI and saves the analysis to Firestore
+ * Analyzes resume text using the configured LLM and saves the analysis to Firestore
  * @param {string} text - The extracted resume text content
  * @param {string} fileID - The unique file identifier in Firestore
  * @param {string} filePath - The file path in Firebase Storage
- * @return {Promise<Object>} The parsed analysis result from Vertex AI
+ * @param {Object} [llmChoice] - `{provider, model}` from resolveModelChoice(); defaults apply if omitted
+ * @param {string} [dedupeKey] - Saves at most one analysis per key (see ./analyses.js)
+ * @return {Promise<Object|null>} The parsed analysis result from the LLM, or null if the key was already used
  */
-async function analyzeResumeText(text, fileID, filePath) { // , bucketName){
+async function analyzeResumeText(text, fileID, filePath, llmChoice = {}, dedupeKey = null) { // , bucketName){
   try {
-    if (text.trim().length < 100) {
-      logger.warn("Resume text too short or empty.");
+    const existingID = await findAnalysis(dedupeKey);
+    if (existingID) {
+      logger.info("Analysis already saved for this key", {fileID, analysisID: existingID});
+      return null;
+    }
+    // Near-empty text (e.g. a scan OCR could not read) would only get an invented analysis
+    if (textLength(text) < MIN_TEXT_CHARS) {
+      throw new HttpError(422, "failed-precondition", "No readable text was found in this resume.");
     }
 
-    // Call Vertex AI for analysis
-    const vertexAI = new VertexAI({project: PROJECT_ID, location: LOCATION});
-    const model = vertexAI.getGenerativeModel({model: GENERATION_MODEL});
+    // Call the LLM for analysis
+    const model = getModel({...llmChoice, task: "resumeAnalysis"});
 
-    const system = `You are an expert resume reviewer for software/tech roles.
-Return STRICT JSON with the following schema:
-{
-  "summary": "2-4 sentences",
-  "strengths": ["..."],
-  "gaps": ["..."],
-  "suggested_improvements": ["..."],
-  "role_suggestions": ["..."],
-  "keywords": {
-    "skills": ["normalized technical skills"],
-    "tools": ["frameworks/libraries"],
-    "domains": ["areas like backend, ML, data"],
-    "seniority": "Junior|Mid|Senior"
-  }
-}`;
+    // The system prompt is versioned and A/B tested (see ./prompts.js)
+    const {version: promptVersion, system} = await pickAnalysisPrompt(fileID);
     //
     const prompt = `Resume text:\n${text}\n\nGenerate the JSON now. Do not include explanations.`;
 
-    const resp = await model.generateContent({
-      contents: [
-        {role: "user", parts: [{text: system}]},
-        {role: "user", parts: [{text: prompt}]},
-      ],
-      generationConfig: {responseMimeType: "application/json"},
-    });
-
-    const raw = resp.response?.candidates?.[0]?.content?.parts?.[0]?.text || "{}";
-    // const raw = resp.response?.candidates?.[0]?.content?.parts?.[0]?.text || "{}";
-    // let parsed;
-    // try {
-    //   parsed = JSON.parse(raw);
-    // } catch {
-    //   parsed = {rawText: raw};
-    // }
-
-    let parsed;
-    try {
-      parsed = JSON.parse(raw);
-    } catch {
-      parsed = {rawText: raw};
-    }
+    // Validated against schemas/resume_analysis.json, with repair prompts on failure
+    const {parsed, validation} = await generateValidatedJson(model, [
+      {role: "user", parts: [{text: system}]},
+      {role: "user", parts: [{text: prompt}]},
+    ], "resumeAnalysis");
 
     // Save analysis to Firestore
-    const fileRef = admin.firestore().collection("file").doc(fileID);
-    await admin.firestore().runTransaction(async (transaction) => {
-      const fileDoc = await transaction.get(fileRef);
-
-      if (!fileDoc.exists) {
-        logger.error(`File document not found for fileID: ${fileID}`);
-        return;
-      }
-
-      const currentNumAnalysis = fileDoc.data().numAnalysis || 0;
-      const newIdx = currentNumAnalysis + 1;
-      const analysisID = `${fileID}-${newIdx}`;
-
-      transaction.update(fileRef, {
-        lastUpdate: admin.firestore.FieldValue.serverTimestamp(),
-        numAnalysis: newIdx,
-        [`analysis.${newIdx}`]: analysisID,
-      });
-
-      const analysisRef = admin.firestore().collection("analysis").doc(analysisID);
-      transaction.set(analysisRef, {
-        owner: fileDoc.data().owner || "",
-        fileID: fileID,
-        content: parsed,
-        generateTime: admin.firestore.FieldValue.serverTimestamp(),
-        model: GENERATION_MODEL,
-        userRating: null,
-        userComment: null,
-        nextAnalysis: null,
-      });
+    const {analysisID} = await appendAnalysis(fileID, {
+      type: "generic",
+      content: parsed,
+      validation: validation,
+      rubricScore: scoreRubric(parsed.rubric),
+      rubricVersion: RUBRIC_VERSION,
+      promptVersion,
+      fileType: SUPPORTED_TYPES[getExtension(filePath)] || null,
+      model: model.name,
+      provider: model.provider,
+    }, {
+      dedupeKey,
+      fileUpdate: {fileType: SUPPORTED_TYPES[getExtension(filePath)] || null, status: "analyzed"},
     });
 
-    logger.info("Analysis saved in Firestore for file", {fileID, filePath});
+    logger.info("Analysis saved in Firestore for file", {fileID, filePath, analysisID});
     return parsed;
   } catch (error) {
     logger.error("analyzeResumeText error:", error);
@@ -153,11 +132,30 @@ Return STRICT JSON with the following schema:
 
 }
 
+/**
+ * Job queued by onResumeUploaded: extracts the text of an upload and analyzes it
+ * @param {Object} params - {fileID, filePath, bucketName, llmChoice, text: OCR text from registerUpload(), if any}
+ * @param {Object} job - {jobId, progress} from runJob()
+ * @return {Promise<Object>} {fileID}
+ */
+async function analyzeUploadJob({fileID, filePath, bucketName, llmChoice, text}, {jobId, progress}) {
+  await progress("Extracting resume text");
+  let resumeText = text;
+  if (!resumeText) {
+    const [buffer] = await gcs.bucket(bucketName).file(filePath).download();
+    resumeText = await extractText(buffer, filePath);
+  }
+
+  await progress("Analyzing the resume");
+  await analyzeResumeText(resumeText, fileID, filePath, llmChoice, jobId); // , bucketName);
+  return {fileID};
+}
+
 exports.onResumeUploaded = onObjectFinalized(
     {
       region: LOCATION, // keep close to your bucket/Vertex region
-      // memory: "512MiB",
-      // timeoutSeconds: 120,
+      memory: "1GiB", // uploads are downloaded, parsed and OCR'd by registerUpload()
+      timeoutSeconds: 300,
       // cpu: 1,
       // secrets: [], // if you ever need secrets
     },
@@ -171,9 +169,11 @@ exports.onResumeUploaded = onObjectFinalized(
           return;
         }
 
-        // if (!filePath.startsWith("resumes/") || !filePath.endsWith(".pdf")) return;
-        if (!filePath.endsWith(".pdf")) {
-          logger.debug(`Skipping non-PDF file: ${filePath}`);
+        // const fileID = object.metadata?.fileID; // Read fileID from custom metadata
+
+        // Generated PDFs are registered by generatePdf; only user uploads carry `uid`
+        if (!object.metadata?.uid) {
+          logger.debug(`Skipping object without an uploader: ${filePath}`);
           return;
         }
 
@@ -183,14 +183,13 @@ exports.onResumeUploaded = onObjectFinalized(
           return;
         }
 
-        // 1) Download PDF
-        const [buffer] = await gcs.bucket(bucketName).file(filePath).download();
+        // Validate the upload and create its file document (see ./uploads.js)
+        const registration = await registerUpload(object, gcs.bucket(bucketName));
+        if (!registration.accepted) return;
+        // The owner is the uploader's folder, not the client-set metadata
+        const {fileID, owner: ownerId} = registration;
 
-        // 2) Extract text
-        const resumeText = (await pdfParse(buffer)).text || "";
-        if (resumeText.trim().length < 100) {
-          logger.warn("Resume text too short or empty.");
-        }
+        // 1) Download file and 2) extract text: done by analyzeUploadJob()
 
         // // 3) Call Vertex AI (Gemini) for JSON feedback + keywords
         // const vertexAI = new VertexAI({project: PROJECT_ID, location: LOCATION});
@@ -231,12 +230,7 @@ exports.onResumeUploaded = onObjectFinalized(
         //   parsed = {rawText: raw};
         // }
 
-        // 4) Save to Firestore alongside the file
-        const fileID = object.metadata?.fileID; // Read fileID from custom metadata
-        if (!fileID) {
-          logger.error("File ID not found in metadata.");
-          return;
-        }
+        // 4) Save to Firestore alongside the file: done by analyzeResumeText()
 
         // // await admin
         // //     .firestore()
@@ -289,7 +283,35 @@ exports.onResumeUploaded = onObjectFinalized(
 
         // logger.info("Analysis saved in Firestore", {fileID, analysisID});
 
-        await analyzeResumeText(resumeText, fileID, filePath); // , bucketName);
+        // Uploads count against the uploader's analysis quota; over the limit, the
+        // file is kept but not analyzed
+        // A redelivered event maps to the job it already queued
+        const jobId = jobIdFor("analyzeUpload", ownerId, event.id);
+        if (await jobExists(jobId)) {
+          logger.info("Upload analysis already queued", {fileID, jobId});
+          return;
+        }
+        // Use the uploader's preferred model, if any; resolved before the quota is charged
+        const llmChoice = await resolveModelChoice(null, ownerId);
+
+        // The analysis runs as a job the dashboard can follow; creating it charges the quota
+        // OCR is slow, so its text is handed to the job instead of being recognized again
+        const text = registration.method === "ocr" ? registration.text : null;
+        let jobID;
+        try {
+          jobID = await createJob("analyzeUpload", ownerId,
+              {fileID, filePath, bucketName, llmChoice, text}, {fileID, jobId, quota: "analysis"});
+        } catch (error) {
+          if (error.status !== 429) throw error;
+          logger.warn("Analysis quota exceeded; skipping upload analysis", {fileID, ownerId});
+          await admin.firestore().collection("file").doc(fileID).set({
+            status: "quota_exceeded",
+            statusMessage: error.message,
+            lastUpdate: admin.firestore.FieldValue.serverTimestamp(),
+          }, {merge: true});
+          return;
+        }
+        logger.info("Queued upload analysis", {fileID, jobID});
 
       } catch (e) {
         logger.error("onResumeUploaded error", e);
@@ -310,10 +332,9 @@ exports.onResumeUploaded = onObjectFinalized(
 // ------------------------------------------------------------------ //
 // ------------------------------------------------------------------ //
 const {onRequest} = require("firebase-functions/v2/https");
-const {FieldValue} = require("firebase-admin/firestore");
 // const {VertexAI} = require("@google-cloud/vertexai");
 
-exports.generateNewAnalysis = onRequest(async (req, res) => {
+exports.generateNewAnalysis = onRequest(withAuth(async (req, res, user) => {
   try {
     // Step 1: Parse request data
     const {fileID, analysisID, userRating, userComment} = req.body;
@@ -331,10 +352,7 @@ exports.generateNewAnalysis = onRequest(async (req, res) => {
     }
 
     const analysisData = analysisDoc.data();
-
-    // Step 3: Prepare the prompt for Vertex AI
-    const vertexAI = new VertexAI({project: PROJECT_ID, location: LOCATION});
-    const model = vertexAI.getGenerativeModel({model: GENERATION_MODEL});
+    assertOwner(user, analysisData.owner, "analysis");
 
     // New Add [A]
     const fileDoc = await admin.firestore().collection("file").doc(fileID).get();
@@ -342,35 +360,85 @@ exports.generateNewAnalysis = onRequest(async (req, res) => {
       res.status(404).send({error: "File document not found."});
       return;
     }
-    const filePath = fileDoc.data().path; // Get the storage path
-    if (!filePath) {
+    assertOwner(user, fileDoc.data().owner, "file");
+    if (fileDoc.data().deleted) {
+      throw new HttpError(409, "failed-precondition", "Restore the file before analyzing it again.");
+    }
+    if (analysisData.fileID !== fileID) {
+      res.status(400).send({error: "The analysis does not belong to this file."});
+      return;
+    }
+
+    // Step 3: Pick the model (request body, then the owner's preference, then the default)
+    let llmChoice;
+    try {
+      llmChoice = await resolveModelChoice(req.body, fileDoc.data().owner);
+    } catch (error) {
+      res.status(400).send({error: error.message});
+      return;
+    }
+    if (!fileDoc.data().path) {
       res.status(400).send({error: "File path not found in document."});
       return;
     }
+    ownedPath(fileDoc.data());
+    // A resubmitted request (same requestId) gets the job it already queued
+    const jobId = jobIdFor("generateNewAnalysis", user.uid, req.body.requestId);
+    if (await jobExists(jobId)) {
+      res.status(202).send({jobID: jobId});
+      return;
+    }
 
-    const bucket = admin.storage().bucket(); // Uses default bucket
-    const [buffer] = await bucket.file(filePath).download();
-    const text = (await pdfParse(buffer)).text || "";
-    // End of New Add [A]
+    // Step 4: Queue the regeneration (see regenerateAnalysisJob) and respond right away; creating
+    // the job charges the quota (a 429 HttpError when over the limit)
+    const jobID = await createJob("generateNewAnalysis", user.uid,
+        {fileID, analysisID, userRating, userComment, llmChoice}, {fileID, jobId, quota: "regeneration"});
+    res.status(202).send({jobID});
 
-    const system = `
-You are an expert resume reviewer for software/tech roles.
-Return STRICT JSON with the following schema:
-{
-  "summary": "2-4 sentences",
-  "strengths": ["..."],
-  "gaps": ["..."],
-  "suggested_improvements": ["..."],
-  "role_suggestions": ["..."],
-  "keywords": {
-    "skills": ["normalized technical skills"],
-    "tools": ["frameworks/libraries"],
-    "domains": ["areas like backend, ML, data"],
-    "seniority": "Junior|Mid|Senior"
-  }
-}`;
+  } catch (error) {
+    console.error("Detailed error:", error.message, error.stack);
+    sendError(res, error);
+  }
+}));
 
-    const prompt = `
+/**
+ * Job queued by generateNewAnalysis: re-analyzes the file taking the user's
+ * rating and comment on the previous analysis into account
+ * @param {Object} params - {fileID, analysisID, userRating, userComment, llmChoice}
+ * @param {Object} job - {jobId, progress} from runJob()
+ * @return {Promise<Object>} {newAnalysisID, validationStatus}
+ */
+async function regenerateAnalysisJob({fileID, analysisID, userRating, userComment, llmChoice}, {jobId, progress}) {
+  // A retried job returns the analysis it already saved
+  const existingID = await findAnalysis(jobId);
+  if (existingID) {
+    const existing = (await admin.firestore().collection("analysis").doc(existingID).get()).data();
+    return {newAnalysisID: existingID, validationStatus: existing.validation?.status};
+  }
+
+  const analysisDoc = await admin.firestore().collection("analysis").doc(analysisID).get();
+  const fileDoc = await admin.firestore().collection("file").doc(fileID).get();
+  if (!analysisDoc.exists || !fileDoc.exists) {
+    throw new HttpError(404, "not-found", "The file or analysis no longer exists.");
+  }
+  const analysisData = analysisDoc.data();
+  const filePath = ownedPath(fileDoc.data());
+  const model = getModel({...llmChoice, task: "resumeAnalysis"});
+
+  await progress("Extracting resume text");
+  const bucket = admin.storage().bucket(); // Uses default bucket
+  const [buffer] = await bucket.file(filePath).download();
+  const text = await extractText(buffer, filePath);
+  if (textLength(text) < MIN_TEXT_CHARS) {
+    throw new HttpError(422, "failed-precondition", "No readable text was found in this resume.");
+  }
+  // End of New Add [A]
+
+  await progress("Generating the new analysis");
+
+  const system = REGENERATION_PROMPTS[REGENERATION_PROMPT_VERSION];
+
+  const prompt = `
 Resume text:\n${text}\n\n
 
 Here's the previous analysis:
@@ -382,430 +450,1195 @@ The user provided the following feedback:
 
 Generate the JSON now. Do not include explanations.`;
 
-    // const response = await model.generateText({content: prompt});
-    // const response = await model.generateContent({content: prompt});
-    const response = await model.generateContent({
-      contents: [
-        {role: "user", parts: [{text: system}]},
-        {role: "user", parts: [{text: prompt}]},
-      ],
-      generationConfig: {responseMimeType: "application/json"},
-    });
+  // const response = await model.generateText({content: prompt});
+  // const response = await model.generateContent({content: prompt});
+  const {parsed, validation} = await generateValidatedJson(model, [
+    {role: "user", parts: [{text: system}]},
+    {role: "user", parts: [{text: prompt}]},
+  ], "resumeAnalysis");
+
+  // Update Firestore with the new analysis, as a child of the rated one; numbering
+  // and links are allocated in one transaction (see ./analyses.js)
+  const {analysisID: newAnalysisID} = await appendAnalysis(fileID, {
+    type: "generic",
+    content: parsed,
+    validation: validation,
+    rubricScore: scoreRubric(parsed.rubric),
+    rubricVersion: RUBRIC_VERSION,
+    promptVersion: REGENERATION_PROMPT_VERSION,
+    fileType: SUPPORTED_TYPES[getExtension(filePath)] || null,
+    feedback: {rating: userRating, comment: userComment},
+    model: model.name,
+    provider: model.provider,
+  }, {dedupeKey: jobId, parentAnalysisID: analysisID});
+
+  return {newAnalysisID, validationStatus: validation.status};
+}
+
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* ------------------- New script for gen resumes ------------------- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.generatePdf = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // Step 1: Validate the request (the structured resume fields are read by generatePdfJob)
+    const {name, summary, template} = req.body;
+    // PDFs always go into the signed-in user's folder
+    const userId = resolveUserId(user, req.body.userId);
 
-    // const newContent = JSON.parse(response.content); // Parse the new analysis JSON
-    const raw =
-      response.response?.candidates?.[0]?.content?.parts?.[0]?.text || "{}";
-    let parsed;
+    if (!name && !summary) {
+      res.status(400).send({error: "Missing required parameters: resume content (name or summary)."});
+      return;
+    }
+    if (template && !Object.hasOwn(TEMPLATES, template)) {
+      res.status(400).send({error: `Unknown template: ${template}`});
+      return;
+    }
+
+    // Step 2: Pick the model (the export is counted when its job is queued)
+    let llmChoice;
     try {
-      parsed = JSON.parse(raw);
-    } catch {
-      parsed = {rawText: raw};
+      llmChoice = await resolveModelChoice(req.body, userId);
+    } catch (error) {
+      res.status(400).send({error: error.message});
+      return;
     }
 
-    // Step 4: Update Firestore with the new analysis
+    // Step 3: Queue the export (see generatePdfJob) and respond right away
+    const jobID = await createJob("generatePdf", userId, {body: req.body, llmChoice}, {quota: "pdf"});
+    res.status(202).send({jobID});
+
+  } catch (error) {
+    logger.error("generatePdf error:", error);
+    sendError(res, error);
+  }
+}));
+
+/**
+ * Job queued by generatePdf: renders the structured resume with its template,
+ * stores the PDF and its file/version records, then analyzes it
+ * @param {Object} params - {body: the generatePdf request body, llmChoice}
+ * @param {Object} job - {jobId, owner, progress} from runJob()
+ * @return {Promise<Object>} {firebase_path, fileID, resumeId, versionId, ...}
+ */
+async function generatePdfJob({body, llmChoice}, {jobId, owner: userId, progress}) {
+  // Step 1: Parse the structured resume fields
+  const {
+    name, phone, email, summary, education, workExperience, projectExperience,
+    skills, publications, additionalPhone, personalPage, linkedinLink, links,
+    certifications, languages, awards, title, pageSize, margins, fontFamily, lineHeight,
+    headerHtml, footerHtml, pageNumbers, resumeId, versionId, template,
+  } = body;
+
+  // Step 2: Format the resume text from structured data
+  let resumeText = "";
+
+  if (name) resumeText += `${name}\n`;
+  if (phone) resumeText += `Phone: ${phone}\n`;
+  if (additionalPhone) resumeText += `Additional phone: ${additionalPhone}\n`;
+  if (email) resumeText += `Email: ${email}\n`;
+  if (personalPage) resumeText += `Website: ${personalPage}\n`;
+  if (linkedinLink) resumeText += `LinkedIn: ${linkedinLink}\n`;
+  if (links && links.length > 0) {
+    links.forEach((link) => resumeText += `${link.label || "Link"}: ${link.url || ""}\n`);
+  }
+  resumeText += `\n`;
+
+  if (summary) resumeText += `SUMMARY\n${summary}\n\n`;
+
+  if (education && education.length > 0) {
+    resumeText += `EDUCATION\n`;
+    education.forEach((edu) => {
+      resumeText += `${edu.schoolName || ""} - ${edu.duration || ""}\n`;
+      if (edu.descriptions && edu.descriptions.length > 0) {
+        edu.descriptions.forEach((desc) => resumeText += `• ${desc}\n`);
+      }
+      resumeText += `\n`;
+    });
+  }
+
+  if (workExperience && workExperience.length > 0) {
+    resumeText += `WORK EXPERIENCE\n`;
+    workExperience.forEach((work) => {
+      resumeText += `${work.company || ""} - ${work.position || ""} (${work.duration || ""})\n`;
+      if (work.descriptions && work.descriptions.length > 0) {
+        work.descriptions.forEach((desc) => resumeText += `• ${desc}\n`);
+      }
+      resumeText += `\n`;
+    });
+  }
+
+  if (projectExperience && projectExperience.length > 0) {
+    resumeText += `PROJECTS\n`;
+    projectExperience.forEach((project) => {
+      resumeText += `${project.name || ""} - ${project.duration || ""}\n`;
+      if (project.descriptions && project.descriptions.length > 0) {
+        project.descriptions.forEach((desc) => resumeText += `• ${desc}\n`);
+      }
+      resumeText += `\n`;
+    });
+  }
+
+  // Skills are grouped by category ({category, items}); plain strings are still accepted
+  if (skills && skills.length > 0) {
+    resumeText += `SKILLS\n`;
+    skills.forEach((group) => {
+      if (typeof group === "string") {
+        resumeText += `${group}\n`;
+      } else if (group.items && group.items.length > 0) {
+        resumeText += `${group.category ? `${group.category}: ` : ""}${group.items.join(", ")}\n`;
+      }
+    });
+    resumeText += `\n`;
+  }
+
+  if (certifications && certifications.length > 0) {
+    resumeText += `CERTIFICATIONS\n`;
+    certifications.forEach((cert) => {
+      resumeText += `• ${cert.name || ""}${cert.issuer ? ` - ${cert.issuer}` : ""}${cert.date ? ` (${cert.date})` : ""}\n`;
+    });
+    resumeText += `\n`;
+  }
+
+  if (awards && awards.length > 0) {
+    resumeText += `AWARDS\n`;
+    awards.forEach((award) => {
+      resumeText += `• ${award.title || ""}${award.issuer ? ` - ${award.issuer}` : ""}`;
+      resumeText += `${award.date ? ` (${award.date})` : ""}\n`;
+      if (award.description) resumeText += `  ${award.description}\n`;
+    });
+    resumeText += `\n`;
+  }
+
+  if (languages && languages.length > 0) {
+    resumeText += `LANGUAGES\n`;
+    languages.forEach((lang) => {
+      resumeText += typeof lang === "string" ? `• ${lang}\n` :
+        `• ${lang.language || ""}${lang.proficiency ? ` - ${lang.proficiency}` : ""}\n`;
+    });
+    resumeText += `\n`;
+  }
+
+  if (publications && publications.length > 0) {
+    resumeText += `PUBLICATIONS\n`;
+    publications.forEach((pub) => {
+      resumeText += typeof pub === "string" ? `• ${pub}\n` :
+        `• ${pub.title || ""}${pub.description ? `. ${pub.description}` : ""}\n`;
+    });
+  }
+
+  // Step 3: Name the PDF and its file document after the job, so that a retried
+  // job overwrites its own output instead of adding another file
+  const now = new Date();
+  const baseTitle = title || "Resume.pdf";
+  const pdfTitle = baseTitle.toLowerCase().endsWith(".pdf") ? baseTitle : baseTitle + ".pdf";
+  const fileName = `${pdfTitle}-${jobId}.pdf`;
+  const filePath = `${userId}/${fileName}`;
+  const fileID = jobId;
+
+  // Step 4: Build the txt_to_pdf payload
+  // New Add [B]
+  const mcpPayload = {
+    text: resumeText,
+    title: pdfTitle,
+    pageSize: pageSize || "Letter",
+    margins: margins || "36px",
+    fontFamily: fontFamily || "Inter, system-ui, -apple-system, Arial, sans-serif",
+    lineHeight: lineHeight || 1.5,
+    headerHtml: headerHtml || "",
+    footerHtml: footerHtml || "",
+    pageNumbers: pageNumbers !== false,
+    template: template || DEFAULT_TEMPLATE,
+    // Add structured data
+    name: name,
+    phone: phone,
+    email: email,
+    summary: summary,
+    education: education,
+    workExperience: workExperience,
+    projectExperience: projectExperience,
+    skills: skills,
+    publications: publications,
+    additionalPhone: additionalPhone,
+    personalPage: personalPage,
+    linkedinLink: linkedinLink,
+    links: links,
+    certifications: certifications,
+    languages: languages,
+    awards: awards,
+  };
+  // End of New Add [B]
+
+  await progress("Rendering the PDF");
+
+  // Step 5: Render the structured resume with the chosen template (see ./templates.js)
+  // and save it to Firebase Storage
+  const rendered = await renderResumePdf(body, mcpPayload.template, {
+    title: pdfTitle,
+    pageSize: mcpPayload.pageSize,
+    margins,
+    fontFamily,
+    lineHeight,
+    headerHtml: mcpPayload.headerHtml,
+    footerHtml: mcpPayload.footerHtml,
+    pageNumbers: mcpPayload.pageNumbers,
+  });
+  const bucket = admin.storage().bucket();
+  const pdfData = await savePdf(rendered, bucket, filePath, {
+    owner: userId,
+    originalTitle: pdfTitle,
+    generatedAt: now.toISOString(),
+  });
+
+  logger.info(`PDF saved to Firebase Storage: ${filePath}`);
+
+  let linkedVersionId;
+  await admin.firestore().runTransaction(async (transaction) => {
     const fileRef = admin.firestore().collection("file").doc(fileID);
-    // const fileDoc = await fileRef.get(); // Removed w/ New Add [A]
+    const fileDoc = await transaction.get(fileRef);
+    if (fileDoc.exists) {
+      // An earlier attempt registered the PDF; only the analysis may be missing
+      linkedVersionId = fileDoc.data().versionId || null;
+      return;
+    }
+
+    // Link the PDF to a resume version: the one given (an unchanged, reopened
+    // version) or else a new snapshot of the submitted data. Reads come first.
+    linkedVersionId = resumeId && versionId ? versionId : null;
+    let versionExists = false;
+    if (resumeId && versionId) {
+      const versionDoc = await transaction.get(resumeRef(userId, resumeId).collection("versions").doc(versionId));
+      versionExists = versionDoc.exists;
+    }
+    if (resumeId && !versionExists) {
+      const version = await createVersion(transaction, {
+        userId, resumeId, data: body, template: mcpPayload.template, source: "generatePdf",
+      });
+      linkedVersionId = version.versionId;
+    }
+
+    // Create file document
+    transaction.create(fileRef, {
+      analysis: [],
+      filename: pdfTitle,
+      lastUpdate: admin.firestore.FieldValue.serverTimestamp(),
+      numAnalysis: 0,
+      owner: userId,
+      path: filePath,
+      type: "Generated",
+      uploadDate: admin.firestore.FieldValue.serverTimestamp(),
+      resumeId: resumeId || null,
+      versionId: linkedVersionId,
+    });
+
+    // Update user's files list
+    const userRef = admin.firestore().collection("user").doc(userId);
+    transaction.update(userRef, {
+      files: admin.firestore.FieldValue.arrayUnion(fileID),
+    });
+
+    // Store the PDF metadata on the linked version
+    if (resumeId) {
+      const versionRef = resumeRef(userId, resumeId).collection("versions").doc(linkedVersionId);
+
+      transaction.set(versionRef, {
+        gcs_uri: pdfData.gcs_uri,
+        firebase_path: filePath,
+        fileID: fileID,
+        generated_at: admin.firestore.FieldValue.serverTimestamp(),
+        page_count: pdfData.page_count || null,
+        bytes: pdfData.bytes || null,
+        title: pdfData.title,
+        generation_params: mcpPayload,
+      }, {merge: true});
+    }
+  });
+
+  await progress("Analyzing the generated resume");
+  try {
+    await analyzeResumeText(resumeText, fileID, filePath, llmChoice, jobId);
+    logger.info("Analysis completed for generated resume", {fileID});
+  } catch (analysisError) {
+    logger.error("Failed to analyze generated resume:", analysisError);
+    // Don't fail the whole request if analysis fails
+  }
+
+  // Step 9: Return the result (stored on the job)
+  return {
+    success: true,
+    firebase_path: filePath,
+    gcs_uri: pdfData.gcs_uri,
+    page_count: pdfData.page_count,
+    bytes: pdfData.bytes,
+    title: pdfData.title,
+    rendered_at: pdfData.rendered_at,
+    fileID: fileID,
+    template: mcpPayload.template,
+    resumeId: resumeId || null,
+    versionId: linkedVersionId,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* ----------------- New script for template preview ---------------- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.previewResume = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // Same structured resume body as generatePdf, nothing is stored
+    const {template, pageSize, margins, fontFamily, lineHeight} = req.body;
+    const templateId = template || DEFAULT_TEMPLATE;
+
+    if (!Object.hasOwn(TEMPLATES, templateId)) {
+      res.status(400).send({error: `Unknown template: ${templateId}`});
+      return;
+    }
+
+    const html = renderResumeHtml(req.body, templateId, {pageSize, margins, fontFamily, lineHeight});
+    res.status(200).send({html, template: templateId, templates: listTemplates()});
+
+  } catch (error) {
+    logger.error("previewResume error:", error);
+    sendError(res, error);
+  }
+}));
+
+
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* ---------------- New script for resume versions ------------------ */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.saveResumeVersion = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // Step 1: Parse request data (the structured resume comes in `data`)
+    const {resumeId, data, template, label} = req.body;
+    const userId = resolveUserId(user, req.body.userId);
+
+    if (!resumeId || !data) {
+      res.status(400).send({error: "Missing required parameters: resumeId and data."});
+      return;
+    }
+    if (template && !Object.hasOwn(TEMPLATES, template)) {
+      res.status(400).send({error: `Unknown template: ${template}`});
+      return;
+    }
+
+    // Step 2: Snapshot the draft as the next version
+    const version = await admin.firestore().runTransaction((transaction) =>
+      createVersion(transaction, {userId, resumeId, data, template, label, source: "manual"}));
+
+    logger.info("Saved resume version", {userId, resumeId, ...version});
+    res.status(200).send(version);
+
+  } catch (error) {
+    logger.error("saveResumeVersion error:", error);
+    sendError(res, error);
+  }
+}));
+
+exports.importResume = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // Step 1: Parse request data
+    const {fileID} = req.body;
+    const userId = resolveUserId(user, req.body.userId);
 
+    if (!fileID) {
+      res.status(400).send({error: "Missing required parameters: fileID."});
+      return;
+    }
+
+    const fileDoc = await admin.firestore().collection("file").doc(fileID).get();
     if (!fileDoc.exists) {
       res.status(404).send({error: "File document not found."});
       return;
     }
+    const fileData = fileDoc.data();
+    assertOwner(user, fileData.owner, "file");
+    if (fileData.deleted) {
+      throw new HttpError(409, "failed-precondition", "Restore the file before importing it.");
+    }
+    if (!fileData.path || !isSupported(fileData.path)) {
+      res.status(400).send({error: "This file type cannot be imported."});
+      return;
+    }
+    ownedPath(fileData);
 
-    const numAnalysis = fileDoc.data().numAnalysis || 0;
-    const newIndex = numAnalysis + 1;
-    const newAnalysisID = `${fileID}-${newIndex}`;
+    // Step 2: Pick the model (the import is counted when its job is queued)
+    let llmChoice;
+    try {
+      llmChoice = await resolveModelChoice(req.body, userId);
+    } catch (error) {
+      res.status(400).send({error: error.message});
+      return;
+    }
 
-    // Run Firestore updates in a transaction
-    await admin.firestore().runTransaction(async (transaction) => {
-      // Update `file` document
-      transaction.update(fileRef, {
-        lastUpdate: FieldValue.serverTimestamp(),
-        numAnalysis: newIndex,
-        [`analysis.${newIndex}`]: newAnalysisID,
-      });
+    // Step 3: Queue the import (see importResumeJob) and respond right away
+    const jobID = await createJob("importResume", userId, {fileID, llmChoice}, {fileID, quota: "analysis"});
+    res.status(202).send({jobID});
 
-      // Add new analysis document
-      const newAnalysisRef = admin.firestore().collection("analysis").doc(newAnalysisID);
-      transaction.set(newAnalysisRef, {
-        owner: fileDoc.data().owner,
-        fileID: fileID,
-        // content: newContent,
-        content: parsed,
-        generateTime: FieldValue.serverTimestamp(),
-        model: GENERATION_MODEL,
-        userRating: null, // Initially null
-        userComment: null, // Initially null
-        nextAnalysis: null, // Initially null
-      });
+  } catch (error) {
+    logger.error("importResume error:", error);
+    sendError(res, error);
+  }
+}));
+
+/**
+ * Job queued by importResume: lets the LLM parse an uploaded file into the
+ * collectFormData() structure and saves it as a new resume draft
+ * @param {Object} params - {fileID, llmChoice}
+ * @param {Object} job - {owner, progress} from runJob()
+ * @return {Promise<Object>} {resumeId, draft, confidence, needsReview, validationStatus}
+ */
+async function importResumeJob({fileID, llmChoice}, {owner: userId, progress}) {
+  const fileDoc = await admin.firestore().collection("file").doc(fileID).get();
+  if (!fileDoc.exists) {
+    throw new HttpError(404, "not-found", "File document not found.");
+  }
+  const fileData = fileDoc.data();
+  const filePath = ownedPath(fileData);
+
+  // Step 1: Extract the text, as onResumeUploaded does
+  await progress("Extracting resume text");
+  const bucket = admin.storage().bucket();
+  const [buffer] = await bucket.file(filePath).download();
+  const text = await extractText(buffer, filePath);
+  if (textLength(text) < MIN_TEXT_CHARS) {
+    throw new HttpError(422, "failed-precondition", "No readable text was found in this resume.");
+  }
+
+  // Step 2: Let the LLM parse it into the collectFormData() structure
+  const model = getModel({...llmChoice, task: "resumeImport"});
+
+  const system = `
+You convert resumes into structured data for a resume editor.
+Return STRICT JSON with the following schema:
+{
+  "resume": {
+    "name": "", "email": "", "phone": "", "additionalPhone": "", "personalPage": "", "linkedinLink": "",
+    "summary": "",
+    "links": [{"label": "e.g. GitHub", "url": ""}],
+    "education": [{"schoolName": "Degree, School", "duration": "year or range", "descriptions": ["..."]}],
+    "workExperience": [{"company": "", "position": "", "duration": "", "descriptions": ["one bullet per item"]}],
+    "projectExperience": [{"name": "", "duration": "", "descriptions": ["..."]}],
+    "skills": [{"category": "e.g. Languages", "items": ["..."]}],
+    "certifications": [{"name": "", "issuer": "", "date": ""}],
+    "languages": [{"language": "", "proficiency": "Native|Fluent|Professional|Intermediate|Basic"}],
+    "awards": [{"title": "", "issuer": "", "date": "", "description": ""}],
+    "publications": [{"title": "", "description": ""}]
+  },
+  "confidence": {"<field name from resume>": 0.0}
+}
+Rules:
+- Copy wording from the resume; do not invent or embellish anything.
+- Use "" or [] when a field is not present.
+- "confidence" holds one number from 0 to 1 per non-empty field: how sure you are that the
+  field was read correctly and completely (lower it for garbled text, guessed dates or merged sections).`;
+
+  await progress("Reading the resume");
+  const {parsed, validation} = await generateValidatedJson(model, [
+    {role: "user", parts: [{text: system}]},
+    {role: "user", parts: [{text: `Resume text:\n${text}\n\nGenerate the JSON now. Do not include explanations.`}]},
+  ], "resumeImport");
+
+  if (validation.status === "invalid" || !parsed.resume) {
+    throw new HttpError(422, "invalid-argument", "The resume could not be parsed.");
+  }
 
-      // Update the `nextAnalysis` field in the previous analysis
-      transaction.update(admin.firestore().collection("analysis").doc(analysisID), {
-        nextAnalysis: newAnalysisID,
+  // Step 3: Save it as a new resume draft the wizard can open
+  const draft = {...parsed.resume, title: fileData.filename ? fileData.filename.replace(/\.[^.]+$/, "") : ""};
+  const {confidence, needsReview} = reviewImport(draft, parsed.confidence);
+  const resumeId = await createResume(userId, draft, {
+    imported: {
+      fileID,
+      filename: fileData.filename || null,
+      confidence,
+      needsReview,
+      model: model.name,
+      provider: model.provider,
+      validationStatus: validation.status,
+      importedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+  });
+
+  logger.info("Imported resume", {fileID, resumeId, needsReview});
+  return {resumeId, draft: pickResumeData(draft), confidence, needsReview,
+    validationStatus: validation.status};
+}
+
+const MAX_REWRITE_BULLETS = 20;
+const MAX_BULLET_LENGTH = 500;
+
+exports.rewriteBullets = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // Step 1: Parse request data. `context` describes the entry the bullets belong to:
+    // {kind: "work"|"project", position, company, name}
+    const {bullets, context = {}, jobDescription} = req.body;
+    const userId = resolveUserId(user, req.body.userId);
+    const variantCount = Math.min(Math.max(parseInt(req.body.variantCount, 10) || 3, 1), 5);
+
+    const originals = (Array.isArray(bullets) ? bullets : [])
+        .filter((bullet) => typeof bullet === "string" && bullet.trim())
+        .map((bullet) => bullet.trim());
+    if (originals.length === 0) {
+      res.status(400).send({error: "Missing required parameters: bullets."});
+      return;
+    }
+    if (originals.length > MAX_REWRITE_BULLETS || originals.some((bullet) => bullet.length > MAX_BULLET_LENGTH)) {
+      res.status(400).send({
+        error: `Send at most ${MAX_REWRITE_BULLETS} bullets of up to ${MAX_BULLET_LENGTH} characters each.`,
       });
+      return;
+    }
+
+    // Step 2: Ask the model for variants
+    let llmChoice;
+    try {
+      llmChoice = await resolveModelChoice(req.body, userId);
+    } catch (error) {
+      res.status(400).send({error: error.message});
+      return;
+    }
+    const model = getModel({...llmChoice, task: "bulletRewrite"});
+    await consumeQuota(userId, "rewrite");
+
+    const system = `
+You are an expert resume writer. Rewrite each resume bullet point into ${variantCount} alternative versions.
+Return STRICT JSON with the following schema:
+{
+  "bullets": [
+    {
+      "original": "the bullet exactly as given",
+      "variants": [
+        {"text": "rewritten bullet", "style": "action|quantified|ats", "reason": "one short sentence"}
+      ]
+    }
+  ]
+}
+Rules:
+- Return the bullets in the order given, one entry per bullet.
+- Mix the styles: "action" leads with a strong past-tense action verb, "quantified" adds measurable
+  impact, "ats" uses the standard keywords and technology names applicant tracking systems match.
+- Keep every variant to one line (under 30 words), without first-person pronouns.
+- Never invent facts. When a quantified variant needs numbers the bullet does not give, use a
+  placeholder such as [X%] and say so in the reason.`;
+
+    const entry = context.kind === "project" ?
+      `Project: ${context.name || "N/A"}` :
+      `Position: ${context.position || "N/A"} at ${context.company || "N/A"}`;
+    const prompt = `
+${entry}
+${jobDescription ? `Target job description:\n${jobDescription}\n` : ""}
+Bullets:
+${originals.map((bullet, i) => `${i + 1}. ${bullet}`).join("\n")}
+
+Generate the JSON now. Do not include explanations.`;
+
+    const {parsed, validation} = await generateValidatedJson(model, [
+      {role: "user", parts: [{text: system}]},
+      {role: "user", parts: [{text: prompt}]},
+    ], "bulletRewrite");
+
+    if (validation.status === "invalid") {
+      res.status(422).send({error: "The model did not return usable rewrites.", validation});
+      return;
+    }
+
+    // Step 3: Line the results up with the request (by text, then by position)
+    const results = parsed.bullets || [];
+    const rewrites = originals.map((original, i) => {
+      const match = results.find((result) => result.original?.trim() === original) || results[i];
+      return {original, variants: (match?.variants || []).slice(0, variantCount)};
     });
 
-    // Step 5: Respond to the frontend
-    res.status(200).send({newAnalysisID});
+    res.status(200).send({bullets: rewrites, model: model.name, validationStatus: validation.status});
 
   } catch (error) {
-    console.error("Detailed error:", error.message, error.stack);
-    res.status(500).send({error: error.message});
+    logger.error("rewriteBullets error:", error);
+    sendError(res, error);
   }
-});
+}));
+
 
 /* ------------------------------------------------------------------ */
 /* ------------------------------------------------------------------ */
-/* ------------------- New script for gen resumes ------------------- */
+/* ------------------- New script for usage quotas ------------------ */
 /* ------------------------------------------------------------------ */
 /* ------------------------------------------------------------------ */
-exports.generatePdf = onRequest(async (req, res) => {
+exports.getUsage = onRequest(withAuth(async (req, res, user) => {
   try {
-    // Step 1: Parse request data with structured resume fields
-    const {
-      name, phone, email, summary, education, workExperience, projectExperience,
-      skills, publications, title, pageSize, margins, fontFamily, lineHeight,
-      headerHtml, footerHtml, pageNumbers, userId, resumeId, versionId,
-    } = req.body;
+    res.status(200).send(await getUsage(user.uid));
+  } catch (error) {
+    logger.error("getUsage error:", error);
+    sendError(res, error);
+  }
+}));
+
 
-    if (!userId || (!name && !summary)) {
-      res.status(400).send({error: "Missing required parameters: userId and resume content (name or summary)."});
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* ----------------- New script for analysis lineage ---------------- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.getAnalysisLineage = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // GET /getAnalysisLineage?fileID=... (or a JSON body with fileID)
+    const fileID = req.query.fileID || req.body?.fileID;
+    if (!fileID) {
+      res.status(400).send({error: "Missing required parameters: fileID."});
       return;
     }
 
-    // Step 2: Format the resume text from structured data
-    let resumeText = "";
+    const fileDoc = await admin.firestore().collection("file").doc(fileID).get();
+    if (!fileDoc.exists) {
+      res.status(404).send({error: "File document not found."});
+      return;
+    }
+    assertOwner(user, fileDoc.data().owner, "file");
 
-    if (name) resumeText += `${name}\n`;
-    if (phone) resumeText += `Phone: ${phone}\n`;
-    if (email) resumeText += `Email: ${email}\n\n`;
+    res.status(200).send(await getLineage(fileID));
+  } catch (error) {
+    logger.error("getAnalysisLineage error:", error);
+    sendError(res, error);
+  }
+}));
 
-    if (summary) resumeText += `SUMMARY\n${summary}\n\n`;
+exports.getResumeProgress = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // One point per file: rubric score, skill coverage and gap count over time (see ./rubric.js)
+    res.status(200).send(await getProgress(user.uid));
+  } catch (error) {
+    logger.error("getResumeProgress error:", error);
+    sendError(res, error);
+  }
+}));
 
-    if (education && education.length > 0) {
-      resumeText += `EDUCATION\n`;
-      education.forEach((edu) => {
-        resumeText += `${edu.schoolName || ""} - ${edu.duration || ""}\n`;
-        if (edu.descriptions && edu.descriptions.length > 0) {
-          edu.descriptions.forEach((desc) => resumeText += `• ${desc}\n`);
-        }
-        resumeText += `\n`;
-      });
+exports.compareAnalyses = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // GET /compareAnalyses?fromID=...&toID=... (or a JSON body); both analyses of the same file
+    const fromID = req.query.fromID || req.body?.fromID;
+    const toID = req.query.toID || req.body?.toID;
+    if (!fromID || !toID) {
+      res.status(400).send({error: "Missing required parameters: fromID and toID."});
+      return;
     }
 
-    if (workExperience && workExperience.length > 0) {
-      resumeText += `WORK EXPERIENCE\n`;
-      workExperience.forEach((work) => {
-        resumeText += `${work.company || ""} - ${work.position || ""} (${work.duration || ""})\n`;
-        if (work.descriptions && work.descriptions.length > 0) {
-          work.descriptions.forEach((desc) => resumeText += `• ${desc}\n`);
-        }
-        resumeText += `\n`;
-      });
+    const [fromDoc, toDoc] = await Promise.all([fromID, toID].map((id) =>
+      admin.firestore().collection("analysis").doc(id).get()));
+    if (!fromDoc.exists || !toDoc.exists) {
+      res.status(404).send({error: "Analysis document not found."});
+      return;
+    }
+    assertOwner(user, fromDoc.data().owner, "analysis");
+    assertOwner(user, toDoc.data().owner, "analysis");
+    if (fromDoc.data().fileID !== toDoc.data().fileID) {
+      res.status(400).send({error: "Only analyses of the same file can be compared."});
+      return;
     }
 
-    if (projectExperience && projectExperience.length > 0) {
-      resumeText += `PROJECTS\n`;
-      projectExperience.forEach((project) => {
-        resumeText += `${project.name || ""} - ${project.duration || ""}\n`;
-        if (project.descriptions && project.descriptions.length > 0) {
-          project.descriptions.forEach((desc) => resumeText += `• ${desc}\n`);
-        }
-        resumeText += `\n`;
-      });
+    res.status(200).send(diffAnalyses({analysisID: fromID, ...fromDoc.data()}, {analysisID: toID, ...toDoc.data()}));
+  } catch (error) {
+    logger.error("compareAnalyses error:", error);
+    sendError(res, error);
+  }
+}));
+
+
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* ------------- New script for job-targeted analysis --------------- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.analyzeJobMatch = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // Step 1: Parse request data
+    const {fileID, jobDescription, jobTitle, companyName, sourceUrl} = req.body;
+
+    if (!fileID || !jobDescription || !String(jobDescription).trim()) {
+      res.status(400).send({error: "Missing required parameters: fileID and jobDescription."});
+      return;
     }
 
-    if (skills && skills.length > 0) {
-      resumeText += `SKILLS\n${skills.join(", ")}\n\n`;
-    }
-
-    if (publications && publications.length > 0) {
-      resumeText += `PUBLICATIONS\n`;
-      publications.forEach((pub) => resumeText += `• ${pub}\n`);
-    }
-
-    // Step 3: Set up Vertex AI with MCP tool integration
-    const vertexAI = new VertexAI({project: PROJECT_ID, location: LOCATION});
-    const model = vertexAI.getGenerativeModel({model: GENERATION_MODEL});
-
-    const systemPrompt = `You have access to a tool named txt_to_pdf that renders plain text to a styled PDF and returns a URL.
-When a user asks to export a resume or convert text to PDF, call txt_to_pdf with sensible defaults:
-- pageSize: "Letter" in the US, "A4" elsewhere
-- margins: "36px"
-- pageNumbers: true
-- title: a short, descriptive title (e.g., "Resume - John Doe")
-Return the pdf_url to the user and store the metadata to Firestore.
-
-Available tool: txt_to_pdf
-Tool schema: {
-  "type": "object",
-  "properties": {
-    "text": {"type": "string", "description": "Plain English text to render"},
-    "title": {"type": "string", "default": "Resume"},
-    "pageSize": {"type": "string", "enum": ["A4","Letter"], "default": "Letter"},
-    "margins": {"type": "string", "description": "CSS-like, e.g. '36px 36px 48px 36px'", "default": "36px"},
-    "fontFamily": {"type": "string", "default": "Inter, system-ui, -apple-system, Arial, sans-serif"},
-    "lineHeight": {"type": "number", "default": 1.5},
-    "headerHtml": {"type": "string", "description": "Optional HTML for header/footer"},
-    "footerHtml": {"type": "string"},
-    "pageNumbers": {"type": "boolean", "default": true}
-  },
-  "required": ["text"]
-}`;
-
-    const userPrompt = `Please convert this structured resume to PDF:
-Name: ${name || "N/A"}
-Phone: ${phone || "N/A"}
-Email: ${email || "N/A"}
-Summary: ${summary || "N/A"}
-Education: ${education ? JSON.stringify(education) : "N/A"}
-Work Experience: ${workExperience ? JSON.stringify(workExperience) : "N/A"}
-Project Experience: ${projectExperience ? JSON.stringify(projectExperience) : "N/A"}
-Skills: ${skills ? skills.join(", ") : "N/A"}
-Publications: ${publications ? JSON.stringify(publications) : "N/A"}
-
-Full text format:
-${resumeText}
-
-Title: ${title || "Resume"}
-Page size: ${pageSize || "Letter"}
-Margins: ${margins || "36px"}
-Page numbers: ${pageNumbers !== false}`;
-
-    const response = await model.generateContent({
-      contents: [
-        {role: "user", parts: [{text: systemPrompt}]},
-        {role: "user", parts: [{text: userPrompt}]},
-      ],
-      generationConfig: {responseMimeType: "application/json"},
-    });
+    // Step 2: Retrieve the resume text
+    const fileDoc = await admin.firestore().collection("file").doc(fileID).get();
+    if (!fileDoc.exists) {
+      res.status(404).send({error: "File document not found."});
+      return;
+    }
+    assertOwner(user, fileDoc.data().owner, "file");
+    if (fileDoc.data().deleted) {
+      throw new HttpError(409, "failed-precondition", "Restore the file before matching it against a job.");
+    }
+    const filePath = fileDoc.data().path;
+    if (!filePath) {
+      res.status(400).send({error: "File path not found in document."});
+      return;
+    }
+    ownedPath(fileDoc.data());
 
-    const raw = response.response?.candidates?.[0]?.content?.parts?.[0]?.text || "{}";
-    let aiResponse;
+    // Step 3: Pick the model (the analysis is counted when its job is queued)
+    let llmChoice;
     try {
-      aiResponse = JSON.parse(raw);
-    } catch {
-      aiResponse = {rawText: raw};
-    }
-
-    // Step 4: Generate timestamp for file naming
-    const now = new Date();
-    const timestamp = now.toISOString()
-        .replace(/:/g, "-")
-        .replace(/\./g, "-")
-        .replace("T", "-")
-        .replace("Z", "");
-
-    // const pdfTitle = title || "Resume.pdf";
-    const baseTitle = title || "Resume.pdf";
-    const pdfTitle = baseTitle.toLowerCase().endsWith(".pdf") ? baseTitle : baseTitle + ".pdf";
-    const fileName = `${pdfTitle}-${timestamp}.pdf`;
-    const filePath = `${userId}/${fileName}`;
-
-    // Step 5: Call Vertex AI and MCP server
-    // const mcpServerUrl = process.env.MCP_SERVER_URL;
-    // const response = await model.generateContent({
-    //   contents: [
-    //     {role: "user", parts: [{text: systemPrompt}]},
-    //     {role: "user", parts: [{text: userPrompt}]},
-    //   ],
-    //   generationConfig: {responseMimeType: "application/json"},
-    // });
-
-    // New Add [B]
-    // const mcpPayload = {
-    //   text: aiResponse.enhanced_text || resumeText, // resumeText,
-    //   title: pdfTitle,
-    //   pageSize: pageSize || "Letter",
-    //   margins: margins || "36px",
-    //   fontFamily: fontFamily || "Inter, system-ui, -apple-system, Arial, sans-serif",
-    //   lineHeight: lineHeight || 1.5,
-    //   headerHtml: headerHtml || "",
-    //   footerHtml: footerHtml || "",
-    //   pageNumbers: pageNumbers !== false,
-    // };
-
-    const mcpPayload = {
-      text: aiResponse.enhanced_text || resumeText,
-      title: pdfTitle,
-      pageSize: pageSize || "Letter",
-      margins: margins || "36px",
-      fontFamily: fontFamily || "Inter, system-ui, -apple-system, Arial, sans-serif",
-      lineHeight: lineHeight || 1.5,
-      headerHtml: headerHtml || "",
-      footerHtml: footerHtml || "",
-      pageNumbers: pageNumbers !== false,
-      // Add structured data
-      name: name,
-      phone: phone,
-      email: email,
-      summary: summary,
-      education: education,
-      workExperience: workExperience,
-      projectExperience: projectExperience,
-      skills: skills,
-      publications: publications,
-    };
-    // End of New Add [B]
-
-    // Step 6: Call MCP server directly
-    // const pdfServiceUrl = process.env.PDF_SERVICE_URL || "https://mcp-server-636025066641.us-west1.run.app/tools/txt_to_pdf";
-    const pdfServiceUrl = "https://mcp-server-636025066641.us-west1.run.app/";
-
-    const fetch = require("node-fetch");
-    const pdfResponse = await fetch(pdfServiceUrl, {
-      method: "POST",
-      headers: {"content-type": "application/json"},
-      body: JSON.stringify(mcpPayload),
-    });
+      llmChoice = await resolveModelChoice(req.body, fileDoc.data().owner);
+    } catch (error) {
+      res.status(400).send({error: error.message});
+      return;
+    }
+    // A resubmitted request (same requestId) gets the job it already queued
+    const jobId = jobIdFor("analyzeJobMatch", user.uid, req.body.requestId);
+    if (await jobExists(jobId)) {
+      res.status(202).send({jobID: jobId});
+      return;
+    }
+
+    // Step 4: Queue the match (see analyzeJobMatchJob) and respond right away
+    const jobID = await createJob("analyzeJobMatch", user.uid,
+        {
+          fileID, jobDescription, llmChoice,
+          jobTitle: jobTitle || "", companyName: companyName || "", sourceUrl: sourceUrl || "",
+        }, {fileID, jobId, quota: "analysis"});
+    res.status(202).send({jobID});
+
+  } catch (error) {
+    logger.error("analyzeJobMatch error:", error);
+    sendError(res, error);
+  }
+}));
+
+/**
+ * Job queued by analyzeJobMatch: matches the resume against a job description
+ * and appends the targeted analysis to the file's analysis chain
+ * @param {Object} params - {fileID, jobDescription, jobTitle, companyName, sourceUrl, llmChoice}
+ * @param {Object} job - {jobId, progress} from runJob()
+ * @return {Promise<Object>} {newAnalysisID, score, validationStatus}
+ */
+async function analyzeJobMatchJob({fileID, jobDescription, jobTitle, companyName, sourceUrl, llmChoice},
+    {jobId, progress}) {
+  // A retried job returns the analysis it already saved
+  const existingID = await findAnalysis(jobId);
+  if (existingID) {
+    const existing = (await admin.firestore().collection("analysis").doc(existingID).get()).data();
+    return {newAnalysisID: existingID, score: existing.score, validationStatus: existing.validation?.status};
+  }
+
+  const fileDoc = await admin.firestore().collection("file").doc(fileID).get();
+  if (!fileDoc.exists) {
+    throw new HttpError(404, "not-found", "File document not found.");
+  }
+  const filePath = ownedPath(fileDoc.data());
+
+  // Step 1: Retrieve the resume text
+  await progress("Extracting resume text");
+  const bucket = admin.storage().bucket();
+  const [buffer] = await bucket.file(filePath).download();
+  const text = await extractText(buffer, filePath);
+  // As in analyzeResumeText(): the model would only invent a match for near-empty text
+  if (textLength(text) < MIN_TEXT_CHARS) {
+    throw new HttpError(422, "failed-precondition", "No readable text was found in this resume.");
+  }
+
+  // Step 2: Ask the LLM to match the resume against the job description
+  const model = getModel({...llmChoice, task: "jobMatch"});
+
+  const system = JOB_MATCH_PROMPTS[JOB_MATCH_PROMPT_VERSION];
+
+  const prompt = `Job title: ${jobTitle || "N/A"}
+Company: ${companyName || "N/A"}
+
+Job description:
+${jobDescription}
+
+Resume text:
+${text}
+
+Generate the JSON now. Do not include explanations.`;
+
+  await progress("Comparing the resume with the job description");
+  const {parsed, validation} = await generateValidatedJson(model, [
+    {role: "user", parts: [{text: system}]},
+    {role: "user", parts: [{text: prompt}]},
+  ], "jobMatch");
+
+  const score = Number(parsed.match_score);
+  const matchScore = Number.isFinite(score) ? Math.min(100, Math.max(0, score)) : null;
+
+  // Step 3: Append the targeted analysis to the file's analysis chain
+  const {analysisID: newAnalysisID} = await appendAnalysis(fileID, {
+    type: "targeted",
+    content: parsed,
+    validation: validation,
+    score: matchScore,
+    jobDescription: {
+      title: jobTitle || "",
+      companyName: companyName || "",
+      sourceUrl: sourceUrl || "",
+      descriptionText: jobDescription,
+    },
+    promptVersion: JOB_MATCH_PROMPT_VERSION,
+    fileType: SUPPORTED_TYPES[getExtension(filePath)] || null,
+    model: model.name,
+    provider: model.provider,
+  }, {dedupeKey: jobId});
 
-    if (!pdfResponse.ok) {
-      const errorText = await pdfResponse.text();
-      logger.error("PDF generation failed", errorText);
-      res.status(500).send({error: "PDF generation failed", detail: errorText});
+  return {newAnalysisID, score: matchScore, validationStatus: validation.status};
+}
+
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* -------- New script for job postings (see ./postings.js) --------- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.importJobPostings = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // POST {source, format: "json"|"csv", data}; data is the feed text (or a parsed JSON array)
+    assertAdmin(user);
+    const {source, format, data} = req.body;
+    if (!source || data === undefined || data === null) {
+      res.status(400).send({error: "Missing required parameters: source and data."});
       return;
     }
 
-    const pdfData = await pdfResponse.json();
+    const result = await importPostings(data, {source, format: format || "json"});
+    logger.info("Job postings imported", {...result, by: user.uid});
+    res.status(200).send(result);
+  } catch (error) {
+    logger.error("importJobPostings error:", error);
+    sendError(res, error);
+  }
+}));
 
-    // Step 7: Download PDF from the generated URL and save to Firebase Storage
-    const pdfBuffer = await fetch(pdfData.pdf_url).then((res) => res.buffer());
+exports.getJobRecommendations = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // GET /getJobRecommendations?analysisID=...&limit=20 (or a JSON body)
+    const analysisID = req.query.analysisID || req.body?.analysisID;
+    const limit = req.query.limit || req.body?.limit;
+    if (!analysisID) {
+      res.status(400).send({error: "Missing required parameters: analysisID."});
+      return;
+    }
 
-    const bucket = admin.storage().bucket();
-    const file = bucket.file(filePath);
+    const analysisDoc = await admin.firestore().collection("analysis").doc(analysisID).get();
+    if (!analysisDoc.exists) {
+      res.status(404).send({error: "Analysis document not found."});
+      return;
+    }
+    assertOwner(user, analysisDoc.data().owner, "analysis");
 
-    await file.save(pdfBuffer, {
-      metadata: {
-        contentType: "application/pdf",
-        metadata: {
-          owner: userId,
-          originalTitle: pdfTitle,
-          generatedAt: now.toISOString(),
-        },
-      },
-    });
+    const postings = await rankPostings(analysisDoc.data(), {limit});
+    res.status(200).send({analysisID, postings});
+  } catch (error) {
+    logger.error("getJobRecommendations error:", error);
+    sendError(res, error);
+  }
+}));
 
-    logger.info(`PDF saved to Firebase Storage: ${filePath}`);
-
-    // // Step 8: Update Firestore with new file record
-    // await admin.firestore().runTransaction(async (transaction) => {
-    //   // Generate unique fileID
-    //   const fileRef = admin.firestore().collection("file").doc();
-    //   const fileID = fileRef.id;
-
-    //   // Create file document
-    //   transaction.set(fileRef, {
-    //     analysis: [],
-    //     filename: pdfTitle,
-    //     lastUpdate: admin.firestore.FieldValue.serverTimestamp(),
-    //     numAnalysis: 0,
-    //     owner: userId,
-    //     path: filePath,
-    //     type: "Generated",
-    //     uploadDate: admin.firestore.FieldValue.serverTimestamp(),
-    //   });
-
-    //   // Update user's files list
-    //   const userRef = admin.firestore().collection("user").doc(userId);
-    //   transaction.update(userRef, {
-    //     files: admin.firestore.FieldValue.arrayUnion(fileID),
-    //   });
-
-    //   // If resumeId and versionId provided, also update version metadata
-    //   if (resumeId && versionId) {
-    //     const versionRef = admin.firestore()
-    //         .collection("users")
-    //         .doc(userId)
-    //         .collection("resumes")
-    //         .doc(resumeId)
-    //         .collection("versions")
-    //         .doc(versionId);
-
-    //     transaction.set(versionRef, {
-    //       pdf_url: pdfData.pdf_url,
-    //       gcs_uri: pdfData.gcs_uri,
-    //       firebase_path: filePath,
-    //       fileID: fileID,
-    //       generated_at: admin.firestore.FieldValue.serverTimestamp(),
-    //       page_count: pdfData.page_count || null,
-    //       bytes: pdfData.bytes || null,
-    //       title: pdfData.title,
-    //       generation_params: mcpPayload,
-    //     }, {merge: true});
-    //   }
-    // });
-
-    let fileID;
-    await admin.firestore().runTransaction(async (transaction) => {
-      // Generate unique fileID
-      const fileRef = admin.firestore().collection("file").doc();
-      fileID = fileRef.id;
-
-      // Create file document
-      transaction.set(fileRef, {
-        analysis: [],
-        filename: pdfTitle,
-        lastUpdate: admin.firestore.FieldValue.serverTimestamp(),
-        numAnalysis: 0,
-        owner: userId,
-        path: filePath,
-        type: "Generated",
-        uploadDate: admin.firestore.FieldValue.serverTimestamp(),
-      });
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* -------- New script for job-board links (see ./jobBoards.js) ----- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.getJobBoards = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // The boards and regions to choose from, and the user's current choice
+    res.status(200).send({...listJobBoards(), preferences: await getPreferences(user.uid)});
+  } catch (error) {
+    logger.error("getJobBoards error:", error);
+    sendError(res, error);
+  }
+}));
 
-      // Update user's files list
-      const userRef = admin.firestore().collection("user").doc(userId);
-      transaction.update(userRef, {
-        files: admin.firestore.FieldValue.arrayUnion(fileID),
-      });
+exports.saveJobBoardPreferences = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // POST {region, boards: [boardId], recencyDays}
+    const preferences = await savePreferences(user.uid, req.body || {});
+    res.status(200).send({preferences});
+  } catch (error) {
+    logger.error("saveJobBoardPreferences error:", error);
+    sendError(res, error);
+  }
+}));
 
-      // If resumeId and versionId provided, also update version metadata
-      if (resumeId && versionId) {
-        const versionRef = admin.firestore()
-            .collection("users")
-            .doc(userId)
-            .collection("resumes")
-            .doc(resumeId)
-            .collection("versions")
-            .doc(versionId);
-
-        transaction.set(versionRef, {
-          pdf_url: pdfData.pdf_url,
-          gcs_uri: pdfData.gcs_uri,
-          firebase_path: filePath,
-          fileID: fileID,
-          generated_at: admin.firestore.FieldValue.serverTimestamp(),
-          page_count: pdfData.page_count || null,
-          bytes: pdfData.bytes || null,
-          title: pdfData.title,
-          generation_params: mcpPayload,
-        }, {merge: true});
-      }
-    });
+exports.getJobBoardLinks = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // GET /getJobBoardLinks?analysisID=... (or a JSON body)
+    const analysisID = req.query.analysisID || req.body?.analysisID;
+    if (!analysisID) {
+      res.status(400).send({error: "Missing required parameters: analysisID."});
+      return;
+    }
 
-    try {
-      await analyzeResumeText(resumeText, fileID, filePath, bucket.name);
-      logger.info("Analysis completed for generated resume", {fileID});
-    } catch (analysisError) {
-      logger.error("Failed to analyze generated resume:", analysisError);
-      // Don't fail the whole request if analysis fails
-    }
-
-    // Step 9: Return success response
-    res.status(200).send({
-      success: true,
-      pdf_url: pdfData.pdf_url,
-      firebase_path: filePath,
-      gcs_uri: pdfData.gcs_uri,
-      page_count: pdfData.page_count,
-      bytes: pdfData.bytes,
-      title: pdfData.title,
-      rendered_at: pdfData.rendered_at,
-      // fileID: fileRef.id, // Return the generated fileID
-      fileID: fileID,
+    const analysisDoc = await admin.firestore().collection("analysis").doc(analysisID).get();
+    if (!analysisDoc.exists) {
+      res.status(404).send({error: "Analysis document not found."});
+      return;
+    }
+    assertOwner(user, analysisDoc.data().owner, "analysis");
+
+    res.status(200).send({analysisID, ...buildLinks(analysisDoc.data(), await getPreferences(user.uid))});
+  } catch (error) {
+    logger.error("getJobBoardLinks error:", error);
+    sendError(res, error);
+  }
+}));
+
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* ---------- New script for file lifecycle (see ./files.js) -------- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.renameFile = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // POST {fileID, filename}
+    const {fileID, filename} = req.body;
+    if (!fileID || !filename) {
+      res.status(400).send({error: "Missing required parameters: fileID and filename."});
+      return;
+    }
+    res.status(200).send(await renameFile(fileID, user.uid, filename));
+  } catch (error) {
+    logger.error("renameFile error:", error);
+    sendError(res, error);
+  }
+}));
+
+exports.archiveFile = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // POST {fileID, archived: true|false}
+    const {fileID, archived = true} = req.body;
+    if (!fileID) {
+      res.status(400).send({error: "Missing required parameters: fileID."});
+      return;
+    }
+    res.status(200).send(await archiveFile(fileID, user.uid, archived));
+  } catch (error) {
+    logger.error("archiveFile error:", error);
+    sendError(res, error);
+  }
+}));
+
+exports.deleteFile = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // POST {fileID, permanent}; without permanent the file can be restored for RESTORE_DAYS
+    const {fileID, permanent} = req.body;
+    if (!fileID) {
+      res.status(400).send({error: "Missing required parameters: fileID."});
+      return;
+    }
+    res.status(200).send(await deleteFile(fileID, user.uid, {permanent: permanent === true}));
+  } catch (error) {
+    logger.error("deleteFile error:", error);
+    sendError(res, error);
+  }
+}));
+
+exports.restoreFile = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // POST {fileID}
+    const {fileID} = req.body;
+    if (!fileID) {
+      res.status(400).send({error: "Missing required parameters: fileID."});
+      return;
+    }
+    res.status(200).send(await restoreFile(fileID, user.uid));
+  } catch (error) {
+    logger.error("restoreFile error:", error);
+    sendError(res, error);
+  }
+}));
+
+exports.listDeletedFiles = onRequest(withAuth(async (req, res, user) => {
+  try {
+    res.status(200).send({files: await listDeletedFiles(user.uid)});
+  } catch (error) {
+    logger.error("listDeletedFiles error:", error);
+    sendError(res, error);
+  }
+}));
+
+// Whatever removed the file document, its object, analyses and links go too
+exports.onFileDeleted = onDocumentDeleted(
+    {
+      document: "file/{fileID}",
+      region: LOCATION,
+      retry: true,
+    },
+    (event) => cleanupFile(event.params.fileID, event.data.data(), admin.storage().bucket()),
+);
+
+// Files in the trash past their restore window
+exports.purgeDeletedFiles = onSchedule(
+    {
+      schedule: "every day 04:00",
+      timeZone: "Etc/UTC",
+      region: LOCATION,
+      timeoutSeconds: 540,
+    },
+    () => purgeDeletedFiles(),
+);
+
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* --------- New script for account data (see ./account.js) --------- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.exportAccount = onRequest({memory: "1GiB", timeoutSeconds: 300}, withAuth(async (req, res, user) => {
+  try {
+    // GET: a ZIP of everything stored for the signed-in user, with manifest.json at its root
+    const {zip, manifest} = await exportAccount(user.uid, admin.storage().bucket());
+    const date = manifest.exportedAt.slice(0, 10);
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="resume-data-${date}.zip"`,
     });
+    zip.generateNodeStream({type: "nodebuffer", streamFiles: true, compression: "DEFLATE"})
+        .on("error", (error) => {
+          // Headers are already out; the client sees a truncated download
+          logger.error("exportAccount stream error:", error);
+          res.destroy(error);
+        })
+        .pipe(res);
+    logger.info("Account export started", {userId: user.uid, counts: manifest.counts});
+  } catch (error) {
+    logger.error("exportAccount error:", error);
+    sendError(res, error);
+  }
+}));
 
+// Deleting the Auth user (from the dashboard or the console) removes all of their data
+exports.onUserDeleted = functionsV1
+    .region(LOCATION)
+    .runWith({timeoutSeconds: 540})
+    .auth.user()
+    .onDelete((user) => deleteAccountData(user.uid, admin.storage().bucket()));
+
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* ---------- New script for share links (see ./shares.js) ---------- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+exports.createShare = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // POST {fileID, analysisID (optional: share one analysis), expiresInDays: 1|7|30}
+    const {fileID, analysisID, expiresInDays} = req.body;
+    if (!fileID) {
+      res.status(400).send({error: "Missing required parameters: fileID."});
+      return;
+    }
+    res.status(200).send(await createShare(user.uid, {fileID, analysisID, expiresInDays}));
   } catch (error) {
-    logger.error("generatePdf error:", error);
-    res.status(500).send({error: error.message});
+    logger.error("createShare error:", error);
+    sendError(res, error);
+  }
+}));
+
+exports.listShares = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // GET /listShares?fileID=... (all of the user's links without fileID)
+    const fileID = req.query.fileID || req.body?.fileID || null;
+    res.status(200).send({shares: await listShares(user.uid, fileID)});
+  } catch (error) {
+    logger.error("listShares error:", error);
+    sendError(res, error);
+  }
+}));
+
+exports.revokeShare = onRequest(withAuth(async (req, res, user) => {
+  try {
+    // POST {token}
+    const {token} = req.body;
+    if (!token) {
+      res.status(400).send({error: "Missing required parameters: token."});
+      return;
+    }
+    res.status(200).send(await revokeShare(user.uid, token));
+  } catch (error) {
+    logger.error("revokeShare error:", error);
+    sendError(res, error);
+  }
+}));
+
+// Public: GET /share/{token} is the read-only page, /share/{token}/file the shared file
+// (?download=1 when opened from the page's link)
+exports.viewShare = onRequest(async (req, res) => {
+  res.set({
+    "Cache-Control": "private, no-store",
+    "Referrer-Policy": "no-referrer",
+    "X-Robots-Tag": "noindex",
+  });
+  try {
+    const [token, part] = req.path.replace(/^\/share\//, "/").split("/").filter(Boolean);
+    if (part && part !== "file") throw new HttpError(404, "not-found", "Page not found.");
+
+    // The page's inline preview loads the file too; only its "Open" link counts as a download
+    const kind = !part ? "view" : req.query.download === "1" ? "download" : null;
+    // An analysis link does not serve the resume it was made from
+    const shared = await openShare(token, kind, {file: Boolean(part)});
+    if (!part) {
+      res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; frame-src 'self'");
+      res.status(200).type("html").send(renderSharePage(token, shared));
+      return;
+    }
+
+    const {file} = shared;
+    const filename = file.filename || file.path.split("/").pop();
+    const inline = /\.pdf$/i.test(file.path);
+    // The stored contentType comes from the uploading browser, so only PDFs are shown inline
+    res.set({
+      "Content-Type": inline ? "application/pdf" : "application/octet-stream",
+      "Content-Disposition": `${inline ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      "X-Content-Type-Options": "nosniff",
+    });
+    admin.storage().bucket().file(file.path).createReadStream()
+        .on("error", (error) => {
+          logger.error("viewShare stream error:", error);
+          if (res.headersSent) {
+            res.destroy(error);
+            return;
+          }
+          res.removeHeader("Content-Disposition");
+          res.status(404).type("html").send(renderShareError("The shared file is no longer available."));
+        })
+        .pipe(res);
+  } catch (error) {
+    if (!(error instanceof HttpError)) logger.error("viewShare error:", error);
+    res.status(error.status || 500).type("html")
+        .send(renderShareError(error instanceof HttpError ? error.message : "Something went wrong."));
   }
 });
+
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+/* ------------------ Background jobs (see ./jobs.js) --------------- */
+/* ------------------------------------------------------------------ */
+/* ------------------------------------------------------------------ */
+const JOB_HANDLERS = {
+  analyzeUpload: analyzeUploadJob,
+  generateNewAnalysis: regenerateAnalysisJob,
+  generatePdf: generatePdfJob,
+  importResume: importResumeJob,
+  analyzeJobMatch: analyzeJobMatchJob,
+};
+
+exports.runJob = onDocumentCreated(
+    {
+      document: "jobs/{jobId}",
+      region: LOCATION,
+      retry: true, // failed attempts are re-delivered until the job's maxAttempts
+      timeoutSeconds: 540,
+      memory: "1GiB", // PDF rendering
+    },
+    (event) => runJob(event.params.jobId, JOB_HANDLERS),
+);
+
+// Rating analytics per model, prompt version and file type (see ./ratings.js)
+exports.aggregateRatings = onSchedule(
+    {
+      schedule: "every day 03:00",
+      timeZone: "Etc/UTC",
+      region: LOCATION,
+      timeoutSeconds: 540,
+    },
+    () => aggregateRatings(),
+);
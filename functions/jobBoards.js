@@ -0,0 +1,219 @@
+/**
+ * Job-board search links, built from an analysis's keywords and the user's preferences.
+ *
+ * JOB_BOARDS is the registry of supported boards. Each has a URL template with
+ * these placeholders (values are URL-encoded):
+ *   {keywords}  the role followed by the top skills, e.g. "Backend Engineer Go Kubernetes"
+ *   {role}      the role alone
+ *   {slug}      the role as a path segment, e.g. "backend-engineer"
+ *   {location}  the region's location name, e.g. "Hong Kong"
+ *   {days}      recency in days, {seconds} the same in seconds
+ *   {host}      the board's host for the region (boards with `hosts` only exist in those regions)
+ *
+ * The preferences are stored on the user document:
+ *   user/{uid}.jobBoards = {region, boards: [boardId], recencyDays}
+ * and fall back to DEFAULT_PREFERENCES field by field.
+ */
+
+const admin = require("firebase-admin");
+const {HttpError} = require("./auth");
+
+const REGIONS = {
+  us: {name: "United States", location: "United States"},
+  gb: {name: "United Kingdom", location: "United Kingdom"},
+  ca: {name: "Canada", location: "Canada"},
+  au: {name: "Australia", location: "Australia"},
+  sg: {name: "Singapore", location: "Singapore"},
+  hk: {name: "Hong Kong", location: "Hong Kong"},
+  in: {name: "India", location: "India"},
+  de: {name: "Germany", location: "Germany"},
+  th: {name: "Thailand", location: "Thailand"},
+};
+
+const JOB_BOARDS = [
+  {
+    id: "linkedin",
+    name: "LinkedIn",
+    template: "https://www.linkedin.com/jobs/search/?keywords={keywords}&location={location}&f_TPR=r{seconds}",
+  },
+  {
+    id: "indeed",
+    name: "Indeed",
+    hosts: {
+      us: "www.indeed.com", gb: "uk.indeed.com", ca: "ca.indeed.com", au: "au.indeed.com", sg: "sg.indeed.com",
+      hk: "hk.indeed.com", in: "in.indeed.com", de: "de.indeed.com", th: "th.indeed.com",
+    },
+    template: "https://{host}/jobs?q={keywords}&l={location}&fromage={days}",
+  },
+  {
+    id: "glassdoor",
+    name: "Glassdoor",
+    hosts: {
+      us: "www.glassdoor.com", gb: "www.glassdoor.co.uk", ca: "www.glassdoor.ca", au: "www.glassdoor.com.au",
+      sg: "www.glassdoor.sg", hk: "www.glassdoor.com.hk", in: "www.glassdoor.co.in", de: "www.glassdoor.de",
+    },
+    template: "https://{host}/Job/jobs.htm?sc.keyword={keywords}&locKeyword={location}&fromAge={days}",
+  },
+  {
+    id: "jobsdb",
+    name: "JobsDB",
+    hosts: {hk: "hk.jobsdb.com", th: "th.jobsdb.com"},
+    template: "https://{host}/{slug}-jobs?daterange={days}",
+  },
+  {
+    id: "seek",
+    name: "SEEK",
+    hosts: {au: "www.seek.com.au"},
+    template: "https://{host}/{slug}-jobs?daterange={days}",
+  },
+  {
+    id: "wellfound",
+    name: "Wellfound",
+    template: "https://wellfound.com/role/{slug}",
+  },
+];
+
+const RECENCY_OPTIONS = [1, 3, 7, 14, 30];
+
+const DEFAULT_PREFERENCES = {
+  region: "us",
+  boards: ["linkedin", "indeed", "glassdoor"],
+  recencyDays: 7,
+};
+
+const MAX_SKILLS_IN_QUERY = 2;
+
+/**
+ * Returns the registry as shown to clients
+ * @return {Object} {regions: [{id, name}], boards: [{id, name, regions}], recencyOptions, defaults}; regions is
+ *   null for boards available everywhere
+ */
+function listJobBoards() {
+  return {
+    regions: Object.entries(REGIONS).map(([id, region]) => ({id, name: region.name})),
+    boards: JOB_BOARDS.map((board) => ({
+      id: board.id,
+      name: board.name,
+      regions: board.hosts ? Object.keys(board.hosts) : null,
+    })),
+    recencyOptions: RECENCY_OPTIONS,
+    defaults: DEFAULT_PREFERENCES,
+  };
+}
+
+/**
+ * Checks preferences sent by a client
+ * @param {Object} preferences - {region, boards, recencyDays}
+ * @return {Object} The preferences to store
+ */
+function validatePreferences({region, boards, recencyDays} = {}) {
+  if (!Object.hasOwn(REGIONS, region)) {
+    throw new HttpError(400, "invalid-argument", `Unknown region: ${region}`);
+  }
+  if (!Array.isArray(boards) || boards.length === 0) {
+    throw new HttpError(400, "invalid-argument", "Pick at least one job board.");
+  }
+  const unknown = boards.filter((id) => !JOB_BOARDS.some((board) => board.id === id));
+  if (unknown.length) {
+    throw new HttpError(400, "invalid-argument", `Unknown job boards: ${unknown.join(", ")}`);
+  }
+  if (!RECENCY_OPTIONS.includes(Number(recencyDays))) {
+    throw new HttpError(400, "invalid-argument", `recencyDays must be one of ${RECENCY_OPTIONS.join(", ")}.`);
+  }
+  return {region, boards: [...new Set(boards)], recencyDays: Number(recencyDays)};
+}
+
+/**
+ * Reads a user's preferences, ignoring stored values the registry no longer supports
+ * @param {string} userId - The user
+ * @return {Promise<Object>} {region, boards, recencyDays}
+ */
+async function getPreferences(userId) {
+  const userDoc = await admin.firestore().collection("user").doc(userId).get();
+  const stored = (userDoc.exists && userDoc.data().jobBoards) || {};
+  const boards = (Array.isArray(stored.boards) ? stored.boards : [])
+      .filter((id) => JOB_BOARDS.some((board) => board.id === id));
+  return {
+    region: Object.hasOwn(REGIONS, stored.region) ? stored.region : DEFAULT_PREFERENCES.region,
+    boards: boards.length ? boards : DEFAULT_PREFERENCES.boards,
+    recencyDays: RECENCY_OPTIONS.includes(stored.recencyDays) ? stored.recencyDays : DEFAULT_PREFERENCES.recencyDays,
+  };
+}
+
+/**
+ * Saves a user's preferences
+ * @param {string} userId - The user
+ * @param {Object} preferences - {region, boards, recencyDays}
+ * @return {Promise<Object>} The stored preferences
+ */
+async function savePreferences(userId, preferences) {
+  const jobBoards = validatePreferences(preferences);
+  await admin.firestore().collection("user").doc(userId).set({jobBoards}, {merge: true});
+  return jobBoards;
+}
+
+/**
+ * Picks the search terms of an analysis
+ * @param {Object} analysis - The analysis document
+ * @return {{role: string, skills: Array<string>}} The role ("" if none) and the top skills
+ */
+function searchTerms(analysis) {
+  const content = analysis.content || {};
+  const role = analysis.type === "targeted" ?
+    analysis.jobDescription?.title || "" :
+    (content.role_suggestions || [])[0] || "";
+  const skills = [...(content.keywords?.skills || []), ...(content.matched_keywords || [])]
+      .map((skill) => String(skill).trim());
+  return {role: String(role).trim(), skills: [...new Set(skills)].slice(0, MAX_SKILLS_IN_QUERY)};
+}
+
+/**
+ * Builds the search links of an analysis for the user's boards and region
+ * @param {Object} analysis - The analysis document
+ * @param {Object} preferences - From getPreferences()
+ * @return {Object} {role, skills, region, recencyDays, links: [{boardId, name, url}],
+ *   unavailable: [{boardId, name}]} - unavailable lists preferred boards that do not serve the region
+ */
+function buildLinks(analysis, preferences) {
+  const {role, skills} = searchTerms(analysis);
+  if (!role && skills.length === 0) {
+    throw new HttpError(400, "invalid-argument", "This analysis has no role or skills to search for.");
+  }
+
+  const region = REGIONS[preferences.region];
+  const days = preferences.recencyDays;
+  const values = {
+    keywords: [role, ...skills].filter(Boolean).join(" "),
+    role: role || skills.join(" "),
+    slug: (role || skills[0]).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, ""),
+    location: region.location,
+    days: String(days),
+    seconds: String(days * 86400),
+  };
+
+  const links = [];
+  const unavailable = [];
+  for (const boardId of preferences.boards) {
+    const board = JOB_BOARDS.find((candidate) => candidate.id === boardId);
+    if (!board) continue;
+    const host = board.hosts ? board.hosts[preferences.region] : "";
+    if (board.hosts && !host) {
+      unavailable.push({boardId, name: board.name});
+      continue;
+    }
+    const url = board.template.replace(/\{(\w+)\}/g, (match, key) =>
+      key === "host" ? host : key === "slug" ? values.slug : encodeURIComponent(values[key] ?? ""));
+    links.push({boardId, name: board.name, url});
+  }
+
+  return {role, skills, region: preferences.region, recencyDays: days, links, unavailable};
+}
+
+module.exports = {
+  REGIONS,
+  JOB_BOARDS,
+  listJobBoards,
+  getPreferences,
+  savePreferences,
+  buildLinks,
+};
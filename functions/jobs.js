@@ -0,0 +1,250 @@
+/**
+ * Background jobs for long-running operations.
+ *
+ * An HTTPS function validates the request, calls createJob() and answers 202
+ * with the jobID right away. Creating the `jobs/{jobId}` document triggers
+ * runJob() (see exports.runJob in index.js), which calls the handler for the
+ * job's type. Clients follow the job by listening to its document:
+ *
+ *   jobs/{jobId}
+ *     {type, owner, fileID, params, status: queued|running|succeeded|failed,
+ *      message, progress: [{at, message}], attempts, maxAttempts, result, error,
+ *      quota, createdAt, updatedAt, startedAt, finishedAt}
+ *
+ * Jobs started by a Storage event or by a request carrying a client requestId
+ * get a deterministic id (jobIdFor()), so a retried event or a resubmitted
+ * request finds the existing job instead of queuing the work twice.
+ *
+ * A failed attempt is put back to "queued" and re-thrown so the event is
+ * delivered again (the trigger is deployed with retry: true), until maxAttempts
+ * is reached. HttpErrors with a 4xx status (missing docs, quota, ...) are not
+ * retried.
+ *
+ * A job that costs quota is charged by createJob() in the transaction that
+ * creates it, so a resubmitted request is charged once; `quota` records the
+ * charge ({action, daily, monthly}: the periods counted), and it is refunded
+ * when the job fails for good.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const {HttpError} = require("./auth");
+const {prepareCharge, chargeQuota, refundQuota} = require("./quota");
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_PROGRESS_ENTRIES = 50;
+
+/**
+ * Returns the Firestore reference of a job
+ * @param {string} jobId - The job
+ * @return {Object} DocumentReference
+ */
+function jobRef(jobId) {
+  return admin.firestore().collection("jobs").doc(jobId);
+}
+
+/**
+ * Derives a stable job id from what triggered the work
+ * @param {string} type - The job type
+ * @param {string} owner - The user (or "" for system jobs)
+ * @param {string} [key] - A Storage event id or a client requestId
+ * @return {string|null} The jobId, or null without a key
+ */
+function jobIdFor(type, owner, key) {
+  if (!key) return null;
+  const hash = crypto.createHash("sha256").update(`${owner || ""}:${key}`).digest("hex");
+  return `${type}-${hash.slice(0, 32)}`;
+}
+
+/**
+ * Whether a job exists
+ * @param {string} [jobId] - The job
+ * @return {Promise<boolean>} False when jobId is empty
+ */
+async function jobExists(jobId) {
+  if (!jobId) return false;
+  return (await jobRef(jobId).get()).exists;
+}
+
+/**
+ * Drops undefined values from job params, as JSON would (Firestore rejects them)
+ * @param {*} value - Params or a value inside them
+ * @return {*} The value without undefined fields; undefined array items become null
+ */
+function storableParams(value) {
+  if (Array.isArray(value)) return value.map((item) => (item === undefined ? null : storableParams(item)));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value)
+        .filter(([, entry]) => entry !== undefined)
+        .map(([key, entry]) => [key, storableParams(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Builds the document of a new job
+ * @param {string} type - The handler to run
+ * @param {string} owner - The user the job belongs to
+ * @param {Object} params - Handler input
+ * @param {Object} options - {fileID, maxAttempts, quota: the charge from chargeQuota(), if any}
+ * @return {Object} The job document
+ */
+function jobDocument(type, owner, params, {fileID, maxAttempts, quota = null}) {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  return {
+    type,
+    owner,
+    fileID,
+    params: storableParams(params),
+    status: "queued",
+    message: "Waiting to start",
+    progress: [],
+    attempts: 0,
+    maxAttempts,
+    result: null,
+    error: null,
+    quota,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Queues a job; with a jobId that is already taken, the existing job is kept
+ * @param {string} type - The handler to run, e.g. "generatePdf"
+ * @param {string} owner - The user the job belongs to
+ * @param {Object} params - Handler input (plain JSON; undefined fields are dropped)
+ * @param {Object} [options] - {fileID: the file the job is about, maxAttempts, jobId: from jobIdFor(),
+ *   quota: the quota action to charge the owner, only when the job is created}
+ * @return {Promise<string>} The jobID; throws a 429 HttpError when the quota is used up
+ */
+async function createJob(type, owner, params,
+    {fileID = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, jobId = null, quota = null} = {}) {
+  const ref = jobId ? jobRef(jobId) : admin.firestore().collection("jobs").doc();
+  const charge = quota ? await prepareCharge(owner, quota) : null;
+  const created = await admin.firestore().runTransaction(async (transaction) => {
+    if ((await transaction.get(ref)).exists) return false;
+    const charged = charge ? (await chargeQuota(transaction, charge)).charged : null;
+    transaction.create(ref, jobDocument(type, owner, params, {fileID, maxAttempts, quota: charged}));
+    return true;
+  });
+  logger.info(created ? "Job queued" : "Job already queued", {jobId: ref.id, type, owner});
+  return ref.id;
+}
+
+/**
+ * Whether a failure should be retried
+ * @param {Error} error - The error thrown by the handler
+ * @return {boolean} False for client errors (4xx HttpErrors)
+ */
+function isRetryable(error) {
+  return !(error instanceof HttpError && error.status < 500);
+}
+
+/**
+ * Marks the job as running, unless it already finished or ran out of attempts
+ * @param {string} jobId - The job
+ * @return {Promise<Object|null>} The job data, or null if there is nothing to run
+ */
+async function claimJob(jobId) {
+  const ref = jobRef(jobId);
+  return admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) return null;
+
+    const job = doc.data();
+    if (job.status === "succeeded" || job.status === "failed") return null;
+    if (job.attempts >= job.maxAttempts) {
+      // The last attempt died without recording its outcome (e.g. a timeout)
+      transaction.update(ref, {
+        status: "failed",
+        message: "Failed",
+        error: job.error || "The job did not finish.",
+        finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      if (job.quota) refundQuota(transaction, job.owner, job.quota);
+      return null;
+    }
+
+    const attempts = job.attempts + 1;
+    transaction.update(ref, {
+      status: "running",
+      attempts,
+      message: attempts > 1 ? `Retrying (attempt ${attempts} of ${job.maxAttempts})` : "Started",
+      startedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return {...job, attempts};
+  });
+}
+
+/**
+ * Runs a job created by createJob(); used as the body of the jobs/{jobId} trigger
+ * @param {string} jobId - The job
+ * @param {Object} handlers - {type: async (params, {jobId, owner, progress}) => result}
+ * @return {Promise<void>}
+ */
+async function runJob(jobId, handlers) {
+  const job = await claimJob(jobId);
+  if (!job) return;
+
+  const ref = jobRef(jobId);
+  const progress = async (message) => {
+    const doc = await ref.get();
+    const entries = (doc.data()?.progress || []).concat({at: new Date().toISOString(), message});
+    await ref.update({
+      message,
+      progress: entries.slice(-MAX_PROGRESS_ENTRIES),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  };
+
+  const handler = handlers[job.type];
+  try {
+    if (!handler) {
+      throw new HttpError(400, "invalid-argument", `Unknown job type: ${job.type}`);
+    }
+    const result = await handler(job.params, {jobId, owner: job.owner, progress});
+
+    await ref.update({
+      status: "succeeded",
+      message: "Done",
+      result: result || null,
+      error: null,
+      finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    logger.info("Job succeeded", {jobId, type: job.type, attempts: job.attempts});
+  } catch (error) {
+    const retry = isRetryable(error) && job.attempts < job.maxAttempts;
+    logger.error("Job failed", {jobId, type: job.type, attempts: job.attempts, retry, message: error.message});
+
+    // A job that failed for good gives its quota back
+    const batch = admin.firestore().batch();
+    batch.update(ref, {
+      status: retry ? "queued" : "failed",
+      message: retry ? `Attempt ${job.attempts} failed, retrying` : "Failed",
+      error: error.message,
+      errorCode: error instanceof HttpError ? error.code : "internal",
+      ...(retry ? {} : {finishedAt: admin.firestore.FieldValue.serverTimestamp()}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (!retry && job.quota) refundQuota(batch, job.owner, job.quota);
+    await batch.commit();
+
+    // Re-throwing makes the platform deliver the event again
+    if (retry) throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  storableParams,
+  jobDocument,
+  jobIdFor,
+  jobExists,
+  createJob,
+  runJob,
+};
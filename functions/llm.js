@@ -0,0 +1,201 @@
+/**
+ * LLM provider layer.
+ *
+ * Every provider returns a model object with the same surface as a Vertex AI
+ * GenerativeModel: `generateContent({contents, generationConfig})` resolving to
+ * `{response: {candidates: [{content: {parts: [{text}]}}]}}`. Callers (and
+ * structuredOutput.js) therefore do not need to know which backend they use.
+ *
+ * Providers:
+ * - "vertex": Vertex AI Gemini (default in production)
+ * - "openai": any OpenAI-compatible /chat/completions endpoint
+ * - "mock":   deterministic fixtures from ./fixtures/llm (default in the emulator)
+ *
+ * Configuration (environment): LLM_PROVIDER, GENERATION_MODEL, VERTEX_LOCATION,
+ * OPENAI_BASE_URL, OPENAI_API_KEY, OPENAI_MODEL, LLM_ALLOW_MOCK.
+ */
+
+const admin = require("firebase-admin");
+const fetch = require("node-fetch");
+const {VertexAI} = require("@google-cloud/vertexai");
+
+// --- configure your region & project ---
+const PROJECT_ID = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+const VERTEX_LOCATION = process.env.VERTEX_LOCATION || "us-west1"; // match your Vertex region
+
+const DEFAULT_MODELS = {
+  vertex: process.env.GENERATION_MODEL || "gemini-2.5-flash", // or a *-latest visible in your project
+  openai: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  mock: "mock-fixture",
+};
+
+const PROVIDERS = Object.keys(DEFAULT_MODELS);
+
+// Fixture returned by the mock provider for each task
+const FIXTURES = {
+  resumeAnalysis: require("./fixtures/llm/resume_analysis.json"),
+  jobMatch: require("./fixtures/llm/job_match.json"),
+  resumeImport: require("./fixtures/llm/resume_import.json"),
+  bulletRewrite: require("./fixtures/llm/bullet_rewrite.json"),
+  complaintThemes: require("./fixtures/llm/complaint_themes.json"),
+};
+
+/**
+ * Wraps plain text in the Vertex AI response shape
+ * @param {string} text - The generated text
+ * @return {Object} A Vertex-style generateContent result
+ */
+function toVertexResponse(text) {
+  return {response: {candidates: [{content: {role: "model", parts: [{text}]}}]}};
+}
+
+/**
+ * The provider used when neither the request nor the user picks one
+ * @return {string} A provider name
+ */
+function defaultProvider() {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  return process.env.FUNCTIONS_EMULATOR === "true" ? "mock" : "vertex";
+}
+
+/**
+ * Whether clients may pick the mock provider: only in the emulator, or where the
+ * deployment opts in (LLM_ALLOW_MOCK=true, or LLM_PROVIDER=mock)
+ * @return {boolean} True if "mock" is allowed
+ */
+function mockAllowed() {
+  return process.env.FUNCTIONS_EMULATOR === "true" ||
+    process.env.LLM_ALLOW_MOCK === "true" ||
+    process.env.LLM_PROVIDER === "mock";
+}
+
+/**
+ * Builds a Vertex AI Gemini model
+ * @param {string} name - The model name, e.g. "gemini-2.5-flash"
+ * @return {Object} The model
+ */
+function vertexModel(name) {
+  const vertexAI = new VertexAI({project: PROJECT_ID, location: VERTEX_LOCATION});
+  const model = vertexAI.getGenerativeModel({model: name});
+  return {
+    provider: "vertex",
+    name,
+    generateContent: (request) => model.generateContent(request),
+  };
+}
+
+/**
+ * Builds a model backed by an OpenAI-compatible chat completions endpoint
+ * @param {string} name - The model name sent to the endpoint
+ * @return {Object} The model
+ */
+function openaiModel(name) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+
+  return {
+    provider: "openai",
+    name,
+    generateContent: async ({contents, generationConfig}) => {
+      const messages = contents.map((content) => ({
+        role: content.role === "model" ? "assistant" : "user",
+        content: content.parts.map((part) => part.text).join("\n"),
+      }));
+
+      const body = {model: name, messages};
+      if (generationConfig?.responseMimeType === "application/json") {
+        body.response_format = {type: "json_object"};
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "authorization": `Bearer ${process.env.OPENAI_API_KEY || ""}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI-compatible request failed (${response.status}): ${await response.text()}`);
+      }
+
+      const data = await response.json();
+      return toVertexResponse(data.choices?.[0]?.message?.content || "");
+    },
+  };
+}
+
+/**
+ * Builds the deterministic fixture model used in the emulator and unit runs
+ * @param {string} task - Which fixture to return, e.g. "resumeAnalysis"
+ * @return {Object} The model
+ */
+function mockModel(task) {
+  return {
+    provider: "mock",
+    name: DEFAULT_MODELS.mock,
+    generateContent: async () => toVertexResponse(JSON.stringify(FIXTURES[task] || {})),
+  };
+}
+
+/**
+ * Returns a model for the given provider/model choice
+ * @param {Object} options - The model choice
+ * @param {string} [options.provider] - One of PROVIDERS; defaults to defaultProvider()
+ * @param {string} [options.model] - The model name; defaults to the provider's default
+ * @param {string} [options.task] - The task, used by the mock provider to pick a fixture
+ * @return {Object} A model exposing provider, name and generateContent()
+ */
+function getModel({provider, model, task} = {}) {
+  const providerName = provider || defaultProvider();
+
+  switch (providerName) {
+    case "vertex":
+      return vertexModel(model || DEFAULT_MODELS.vertex);
+    case "openai":
+      return openaiModel(model || DEFAULT_MODELS.openai);
+    case "mock":
+      return mockModel(task);
+    default:
+      throw new Error(`Unknown LLM provider: ${providerName}`);
+  }
+}
+
+/**
+ * Resolves the model choice for a call: request body first, then the user's preference
+ * (`user.llm = {provider, model}`), then the defaults
+ * @param {Object} requested - `{provider, model}` from the request body (either may be missing)
+ * @param {string} userId - The user whose preference applies
+ * @return {Promise<Object>} `{provider, model}`, either left out to mean "default"
+ */
+async function resolveModelChoice(requested, userId) {
+  let source = requested;
+  if (!requested?.provider && !requested?.model && userId) {
+    const userDoc = await admin.firestore().collection("user").doc(userId).get();
+    source = userDoc.exists ? userDoc.data().llm : null;
+  }
+
+  // Only the fields that are set: the choice is stored in job params, and Firestore rejects undefined
+  const choice = {};
+  if (source?.provider) choice.provider = source.provider;
+  if (source?.model) choice.model = source.model;
+
+  if (choice.provider && !PROVIDERS.includes(choice.provider)) {
+    throw new Error(`Unknown LLM provider: ${choice.provider}`);
+  }
+  // Fixture output must never be stored as real feedback
+  if (choice.provider === "mock" && !mockAllowed()) {
+    throw new Error("The mock LLM provider is only available in the emulator.");
+  }
+  if (choice.model && !/^[\w.:/-]+$/.test(choice.model)) {
+    throw new Error(`Invalid model name: ${choice.model}`);
+  }
+  return choice;
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_MODELS,
+  getModel,
+  resolveModelChoice,
+};
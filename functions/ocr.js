@@ -0,0 +1,179 @@
+/**
+ * OCR for scanned resumes: image uploads, and PDFs without a text layer.
+ *
+ * Recognition runs in-process with tesseract.js. The English model ships with
+ * the function (@tesseract.js-data/eng, the LSTM-only "best_int" data that
+ * tesseract.js would otherwise download), so OCR needs no network access; it is
+ * unpacked once per instance into the temp directory. PDFs are not rendered:
+ * a scanned PDF holds one image per page, so the page images are taken out of
+ * the file as they are and recognized in order. JPEG (DCTDecode) images are
+ * passed through; 8-bit gray or RGB Flate images are re-wrapped as PNG. Other
+ * encodings (CCITT, JBIG2, JPEG 2000) are skipped.
+ */
+
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const logger = require("firebase-functions/logger");
+const {createWorker} = require("tesseract.js");
+
+const OCR_LANGUAGE = "eng";
+const LANG_PATH = path.join(path.dirname(require.resolve("@tesseract.js-data/eng/package.json")), "4.0.0_best_int");
+const MAX_OCR_IMAGES = 10;
+const MIN_IMAGE_SIDE = 200; // smaller images are logos and icons, not pages
+
+let workerPromise = null;
+
+/**
+ * Returns the instance's OCR worker, creating it on first use
+ * @return {Promise<Object>} A tesseract.js worker
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(OCR_LANGUAGE, 1, {langPath: LANG_PATH, gzip: true, cachePath: os.tmpdir()}).catch((error) => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Recognizes the text of one image
+ * @param {Buffer} image - PNG or JPEG bytes
+ * @return {Promise<{text: string, confidence: number}>} confidence is tesseract's 0-100 mean word confidence
+ */
+async function ocrImage(image) {
+  const worker = await getWorker();
+  const {data} = await worker.recognize(image);
+  return {text: data.text || "", confidence: data.confidence || 0};
+}
+
+/**
+ * Builds a PNG chunk
+ * @param {string} type - e.g. "IHDR"
+ * @param {Buffer} data - The chunk data
+ * @return {Buffer} length, type, data and CRC
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Wraps raw 8-bit pixels from a Flate image in a PNG
+ * @param {Buffer} pixels - Inflated image data
+ * @param {Object} image - {width, height, channels, predicted: rows already carry PNG filter bytes}
+ * @return {Buffer|null} The PNG, or null if the data does not fit the dimensions
+ */
+function toPng(pixels, {width, height, channels, predicted}) {
+  const rowLength = width * channels;
+  let rows = pixels;
+  if (!predicted) {
+    if (pixels.length < rowLength * height) return null;
+    rows = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+      pixels.copy(rows, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+  } else if (pixels.length < (rowLength + 1) * height) {
+    return null;
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = channels === 3 ? 2 : 0; // truecolor or grayscale
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(rows)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Reads an integer entry of a PDF dictionary
+ * @param {string} dict - The dictionary source
+ * @param {string} key - e.g. "Width"
+ * @return {number|null} The value, or null if missing or an indirect reference
+ */
+function dictNumber(dict, key) {
+  const match = new RegExp(`/${key}\\s+(\\d+)(?!\\s+\\d+\\s+R)`).exec(dict);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Takes the page images out of a PDF, in file order
+ * @param {Buffer} buffer - The PDF
+ * @return {Array<Buffer>} PNG or JPEG images, at most MAX_OCR_IMAGES
+ */
+function pdfImages(buffer) {
+  const source = buffer.toString("latin1");
+  const images = [];
+  // A dictionary (with up to two levels of nested dictionaries) followed by a stream
+  const streams = /<<((?:[^<>]|<<(?:[^<>]|<<[^<>]*>>)*>>)*)>>\s*stream(?:\r\n|\n|\r)/g;
+  let match;
+  while ((match = streams.exec(source)) && images.length < MAX_OCR_IMAGES) {
+    const dict = match[1];
+    if (!/\/Subtype\s*\/Image/.test(dict)) continue;
+
+    // Trust /Length when it is direct and lands on "endstream"; otherwise scan for it
+    const start = match.index + match[0].length;
+    const length = dictNumber(dict, "Length");
+    let end = length !== null && /^\s*endstream/.test(source.slice(start + length, start + length + 16)) ?
+      start + length : source.indexOf("endstream", start);
+    if (end < 0) break;
+    if (length === null && source[end - 1] === "\n") end -= source[end - 2] === "\r" ? 2 : 1;
+    const data = buffer.subarray(start, end);
+
+    const width = dictNumber(dict, "Width");
+    const height = dictNumber(dict, "Height");
+    if (!width || !height || Math.min(width, height) < MIN_IMAGE_SIDE) continue;
+
+    try {
+      if (/\/DCTDecode/.test(dict) && !/\/FlateDecode/.test(dict)) {
+        images.push(data);
+      } else if (/\/FlateDecode/.test(dict) && !/\/DCTDecode/.test(dict) && dictNumber(dict, "BitsPerComponent") === 8) {
+        const channels = /\/ColorSpace\s*\/DeviceRGB/.test(dict) ? 3 : /\/ColorSpace\s*\/DeviceGray/.test(dict) ? 1 : 0;
+        if (!channels) continue;
+        const predicted = (dictNumber(dict, "Predictor") || 1) >= 10;
+        const png = toPng(zlib.inflateSync(data), {width, height, channels, predicted});
+        if (png) images.push(png);
+      }
+    } catch (error) {
+      logger.warn("Skipping an unreadable PDF image", {message: error.message});
+    }
+  }
+  return images;
+}
+
+/**
+ * Recognizes the text of a scanned PDF
+ * @param {Buffer} buffer - The PDF
+ * @return {Promise<Object>} {text, confidence, pages}; confidence is weighted by the amount of text per page,
+ *   null when no page image could be read
+ */
+async function ocrPdf(buffer) {
+  const images = pdfImages(buffer);
+  const pages = [];
+  for (const image of images) {
+    pages.push(await ocrImage(image));
+  }
+
+  const text = pages.map((page) => page.text.trim()).filter(Boolean).join("\n\n");
+  const weight = pages.reduce((sum, page) => sum + page.text.trim().length, 0);
+  const confidence = weight ?
+    pages.reduce((sum, page) => sum + page.confidence * page.text.trim().length, 0) / weight : null;
+  return {text, confidence, pages: images.length};
+}
+
+module.exports = {
+  ocrImage,
+  ocrPdf,
+  pdfImages,
+};
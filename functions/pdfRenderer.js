@@ -0,0 +1,224 @@
+/**
+ * In-process PDF rendering with pdfkit, replacing the external MCP Cloud Run
+ * service (the `txt_to_pdf` tool of mcp.config.json and schemas/txt_to_pdf.json,
+ * whose page options it keeps).
+ *
+ * renderDocument() sets up the page and draws header, footer and page numbers,
+ * while the caller draws the body (the resume templates in ./templates.js);
+ * savePdf() writes the result straight to Firebase Storage. Options may be given
+ * in camelCase (as generatePdf sends them) or in the snake_case of the schema.
+ */
+
+const PDFDocument = require("pdfkit");
+
+const DEFAULTS = {
+  title: "Resume",
+  pageSize: "Letter",
+  margins: "36px",
+  fontFamily: "Inter, system-ui, -apple-system, Arial, sans-serif",
+  lineHeight: 1.5,
+  headerHtml: "",
+  footerHtml: "",
+  pageNumbers: true,
+};
+
+const PAGE_SIZES = ["A4", "Letter"];
+const HEADER_FONT_SIZE = 8;
+
+// pdfkit only ships the 14 standard PDF fonts; map CSS families onto them
+const FONT_FAMILIES = {
+  serif: {regular: "Times-Roman", bold: "Times-Bold", italic: "Times-Italic"},
+  monospace: {regular: "Courier", bold: "Courier-Bold", italic: "Courier-Oblique"},
+  sansSerif: {regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique"},
+};
+
+/**
+ * Merges tool input (camelCase or snake_case) with the defaults
+ * @param {Object} input - The txt_to_pdf arguments
+ * @return {Object} Normalized options
+ */
+function normalizeOptions(input) {
+  const pick = (camel, snake) => (input[camel] ?? input[snake] ?? DEFAULTS[camel]);
+  const pageSize = pick("pageSize", "page_size");
+
+  return {
+    text: input.text || "",
+    title: input.title || DEFAULTS.title,
+    pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : DEFAULTS.pageSize,
+    margins: pick("margins", "margins") || DEFAULTS.margins,
+    fontFamily: pick("fontFamily", "font_family") || DEFAULTS.fontFamily,
+    lineHeight: Number(pick("lineHeight", "line_height")) || DEFAULTS.lineHeight,
+    headerHtml: pick("headerHtml", "header_html") || "",
+    footerHtml: pick("footerHtml", "footer_html") || "",
+    pageNumbers: pick("pageNumbers", "page_numbers") !== false,
+  };
+}
+
+/**
+ * Converts a CSS length to PDF points (unitless values are treated as px)
+ * @param {string} value - e.g. "36px", "0.5in", "12mm", "18pt"
+ * @return {number} Points
+ */
+function parseLength(value) {
+  const match = /^(-?[\d.]+)\s*(px|pt|in|mm|cm)?$/i.exec(String(value).trim());
+  if (!match) return parseLength(DEFAULTS.margins);
+
+  const number = parseFloat(match[1]);
+  switch ((match[2] || "px").toLowerCase()) {
+    case "pt": return number;
+    case "in": return number * 72;
+    case "mm": return number * 72 / 25.4;
+    case "cm": return number * 72 / 2.54;
+    default: return number * 0.75; // px
+  }
+}
+
+/**
+ * Parses CSS margin shorthand (1 to 4 values)
+ * @param {string} margins - e.g. "36px 36px 48px 36px"
+ * @return {{top: number, right: number, bottom: number, left: number}} Margins in points
+ */
+function parseMargins(margins) {
+  const values = String(margins).trim().split(/\s+/).map(parseLength);
+  const [top, right = top, bottom = top, left = right] = values;
+  return {top, right, bottom, left};
+}
+
+/**
+ * Picks the standard PDF font matching the first recognizable CSS family
+ * @param {string} fontFamily - CSS font-family list
+ * @return {{regular: string, bold: string, italic: string}} pdfkit font names
+ */
+function resolveFonts(fontFamily) {
+  for (const family of fontFamily.split(",").map((f) => f.trim().replace(/['"]/g, "").toLowerCase())) {
+    if (["serif", "times", "times new roman", "georgia", "garamond"].includes(family)) return FONT_FAMILIES.serif;
+    if (["monospace", "courier", "courier new", "consolas", "menlo"].includes(family)) return FONT_FAMILIES.monospace;
+    if (["sans-serif", "arial", "helvetica", "inter", "system-ui", "roboto"].includes(family)) {
+      return FONT_FAMILIES.sansSerif;
+    }
+  }
+  return FONT_FAMILIES.sansSerif;
+}
+
+/**
+ * Turns a Puppeteer-style header/footer template into plain text, filling the
+ * pageNumber/totalPages/title/date placeholder classes
+ * @param {string} html - The template HTML
+ * @param {Object} vars - {pageNumber, totalPages, title, date}
+ * @return {string} Plain text
+ */
+function templateToText(html, vars) {
+  return html
+      .replace(/<(\w+)[^>]*class=["'](pageNumber|totalPages|title|date)["'][^>]*>\s*<\/\1>/g,
+          (_, tag, name) => String(vars[name] ?? ""))
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&")
+      .trim();
+}
+
+/**
+ * Creates a PDF, lets the caller draw the body, then draws header, footer and
+ * page numbers into the margins of every page
+ * @param {Object} input - The txt_to_pdf arguments (text may be omitted)
+ * @param {Function} drawBody - Called as drawBody(doc, {options, margins, fonts})
+ * @return {Promise<{buffer: Buffer, pageCount: number, options: Object}>} The PDF
+ */
+function renderDocument(input, drawBody) {
+  const options = normalizeOptions(input);
+  const margins = parseMargins(options.margins);
+  const fonts = resolveFonts(options.fontFamily);
+
+  const doc = new PDFDocument({
+    size: options.pageSize.toUpperCase(),
+    margins,
+    bufferPages: true,
+    info: {Title: options.title, Creator: "txt_to_pdf"},
+  });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let pageCount = 0;
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("error", reject);
+    doc.on("end", () => resolve({buffer: Buffer.concat(chunks), pageCount, options}));
+
+    try {
+      drawBody(doc, {options, margins, fonts});
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const range = doc.bufferedPageRange();
+    pageCount = range.count;
+    const date = new Date().toISOString().slice(0, 10);
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const vars = {pageNumber: i + 1, totalPages: pageCount, title: options.title, date};
+      const width = doc.page.width - margins.left - margins.right;
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0; // allow writing into the bottom margin without adding a page
+      doc.font(fonts.regular).fontSize(HEADER_FONT_SIZE).fillColor("#666666");
+
+      if (options.headerHtml) {
+        doc.text(templateToText(options.headerHtml, vars), margins.left,
+            Math.max(margins.top / 2 - HEADER_FONT_SIZE / 2, 4), {width, align: "center", lineBreak: false});
+      }
+
+      const footerY = doc.page.height - Math.max(bottom / 2 + HEADER_FONT_SIZE / 2, HEADER_FONT_SIZE + 4);
+      if (options.footerHtml) {
+        doc.text(templateToText(options.footerHtml, vars), margins.left, footerY,
+            {width, align: "left", lineBreak: false});
+      }
+      if (options.pageNumbers) {
+        doc.text(`Page ${i + 1} of ${pageCount}`, margins.left, footerY,
+            {width, align: options.footerHtml ? "right" : "center", lineBreak: false});
+      }
+
+      doc.page.margins.bottom = bottom;
+      doc.fillColor("black");
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Saves a rendered PDF to Firebase Storage
+ * @param {{buffer: Buffer, pageCount: number, options: Object}} rendered - Result of a render function
+ * @param {Object} bucket - A Storage bucket (e.g. admin.storage().bucket())
+ * @param {string} filePath - Destination path in the bucket
+ * @param {Object} [customMetadata] - Custom metadata stored on the object
+ * @return {Promise<Object>} {firebase_path, gcs_uri, page_count, bytes, title, rendered_at}
+ */
+async function savePdf({buffer, pageCount, options}, bucket, filePath, customMetadata = {}) {
+  await bucket.file(filePath).save(buffer, {
+    metadata: {
+      contentType: "application/pdf",
+      metadata: customMetadata,
+    },
+  });
+
+  return {
+    firebase_path: filePath,
+    gcs_uri: `gs://${bucket.name}/${filePath}`,
+    page_count: pageCount,
+    bytes: buffer.length,
+    title: options.title,
+    rendered_at: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  PAGE_SIZES,
+  parseMargins,
+  normalizeOptions,
+  renderDocument,
+  savePdf,
+};
@@ -0,0 +1,369 @@
+/**
+ * A local corpus of job postings, and offline matching of analyses against it.
+ *
+ *   jobPostings/{postingId}
+ *     {source, externalId, title, company, location, url, description,
+ *      skills, tools, domains, seniority, terms, postedAt, expiresAt, importedAt}
+ *
+ * Postings are imported from JSON or CSV feeds (importPostings()). The id is a
+ * hash of the source and the posting's id in that feed (or its url), so
+ * importing the same feed again updates postings instead of duplicating them,
+ * and removes the ones the feed no longer lists.
+ * `terms` holds the normalized skills, tools, domains and title words, and is
+ * what candidate postings are looked up by.
+ *
+ * rankPostings() scores the candidates against an analysis's keywords without
+ * calling the LLM, and explains each match with the skills it found and missed.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {HttpError} = require("./auth");
+
+const MAX_POSTINGS_PER_IMPORT = 2000;
+const MAX_DESCRIPTION_LENGTH = 20000;
+const MAX_QUERY_TERMS = 30; // array-contains-any limit
+const MAX_CANDIDATES = 500;
+const DEFAULT_LIMIT = 20;
+
+// Weights of the 0-100 match score
+const SKILL_WEIGHT = 0.6;
+const DOMAIN_WEIGHT = 0.2;
+const SENIORITY_WEIGHT = 0.2;
+
+const SENIORITY_LEVELS = ["junior", "mid", "senior"];
+
+/**
+ * Normalizes a keyword for comparison
+ * @param {*} value - e.g. " Node.js "
+ * @return {string} e.g. "node.js"
+ */
+function normalize(value) {
+  return String(value ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Reads a list field of a feed entry: an array, or a string separated by ; | or ,
+ * @param {*} value - The field
+ * @return {Array<string>} Trimmed, non-empty, deduplicated items
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(/[;|,]/);
+  return [...new Set(items.map((item) => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Parses a date field of a feed entry
+ * @param {*} value - ISO string, epoch millis or empty
+ * @return {Object|null} A Firestore Timestamp, or null
+ */
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(typeof value === "number" ? value : String(value));
+  return Number.isNaN(date.getTime()) ? null : admin.firestore.Timestamp.fromDate(date);
+}
+
+/**
+ * Maps a seniority label to a level
+ * @param {string} [value] - e.g. "Senior", "Mid-level", "Junior"
+ * @return {number} Index in SENIORITY_LEVELS, or -1 when unknown
+ */
+function seniorityLevel(value) {
+  const label = normalize(value);
+  if (!label) return -1;
+  if (/(senior|sr\b|lead|staff|principal)/.test(label)) return 2;
+  if (/(mid|intermediate)/.test(label)) return 1;
+  if (/(junior|jr\b|entry|graduate|intern)/.test(label)) return 0;
+  return -1;
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * @param {string} text - The CSV, with a header row
+ * @return {Array<Object>} One object per row, keyed by the header names
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((cell) => cell.trim()));
+  const keys = header.map((key) => key.trim());
+  return records.map((cells) => Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ""])));
+}
+
+/**
+ * Reads a feed into entries
+ * @param {string|Array} data - A JSON array (or {postings: [...]}), as text or parsed, or CSV text
+ * @param {string} format - "json" or "csv"
+ * @return {Array<Object>} The raw entries
+ */
+function parseFeed(data, format) {
+  if (format === "csv") {
+    if (typeof data !== "string") throw new HttpError(400, "invalid-argument", "CSV feeds must be sent as text.");
+    return parseCsv(data);
+  }
+  if (format !== "json") throw new HttpError(400, "invalid-argument", "format must be \"json\" or \"csv\".");
+
+  let parsed = data;
+  if (typeof data === "string") {
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw new HttpError(400, "invalid-argument", `The JSON feed could not be parsed: ${error.message}`);
+    }
+  }
+  const entries = Array.isArray(parsed) ? parsed : parsed?.postings;
+  if (!Array.isArray(entries)) {
+    throw new HttpError(400, "invalid-argument", "The JSON feed must be an array of postings or {postings: [...]}.");
+  }
+  return entries;
+}
+
+/**
+ * Turns a feed entry into a posting document
+ * @param {Object} entry - {id, title, company, location, url, description, skills, tools, domains, seniority,
+ *   postedAt, expiresAt}; list fields may be arrays or ";"-separated strings
+ * @param {string} source - The feed the entry came from
+ * @return {Object|null} {postingId, posting}, or null if the entry has no title or no id/url
+ */
+function normalizePosting(entry, source) {
+  const title = String(entry?.title ?? "").trim();
+  const externalId = String(entry?.id ?? entry?.externalId ?? entry?.url ?? "").trim();
+  if (!title || !externalId) return null;
+
+  const skills = toList(entry.skills);
+  const tools = toList(entry.tools);
+  const domains = toList(entry.domains);
+  // Title words let postings without keyword lists still be found (e.g. "python" in "Python Developer")
+  const titleWords = normalize(title).split(/[^a-z0-9+#.]+/).filter((word) => word.length > 1);
+  const terms = [...new Set([...skills, ...tools, ...domains].map(normalize).concat(titleWords))];
+  const postingId = crypto.createHash("sha256").update(`${source}:${externalId}`).digest("hex").slice(0, 32);
+
+  return {
+    postingId,
+    posting: {
+      source,
+      externalId,
+      title,
+      company: String(entry.company ?? "").trim(),
+      location: String(entry.location ?? "").trim(),
+      url: String(entry.url ?? "").trim(),
+      description: String(entry.description ?? "").slice(0, MAX_DESCRIPTION_LENGTH),
+      skills,
+      tools,
+      domains,
+      seniority: String(entry.seniority ?? "").trim() || null,
+      terms,
+      postedAt: toTimestamp(entry.postedAt),
+      expiresAt: toTimestamp(entry.expiresAt),
+    },
+  };
+}
+
+/**
+ * Imports a feed into the jobPostings collection, replacing postings already imported from it
+ * @param {string|Array} data - The feed (see parseFeed())
+ * @param {Object} options - Options
+ * @param {string} options.source - A stable name for the feed, e.g. "acme-careers"
+ * @param {string} [options.format] - "json" (default) or "csv"
+ * @return {Promise<{source: string, imported: number, skipped: number, removed: number}>} skipped counts
+ *   entries without a title or id/url; removed counts earlier postings of the feed that are no longer in it
+ */
+async function importPostings(data, {source, format = "json"}) {
+  const feed = String(source ?? "").trim();
+  if (!feed) throw new HttpError(400, "invalid-argument", "Missing required parameters: source.");
+
+  const entries = parseFeed(data, format);
+  if (entries.length > MAX_POSTINGS_PER_IMPORT) {
+    throw new HttpError(413, "invalid-argument",
+        `A feed can hold at most ${MAX_POSTINGS_PER_IMPORT} postings; split it into several imports.`);
+  }
+
+  const db = admin.firestore();
+  const writer = db.bulkWriter();
+  const importedAt = admin.firestore.FieldValue.serverTimestamp();
+  const postingIds = new Set();
+  let skipped = 0;
+  for (const entry of entries) {
+    const normalized = normalizePosting(entry, feed);
+    if (!normalized) {
+      skipped += 1;
+      continue;
+    }
+    writer.set(db.collection("jobPostings").doc(normalized.postingId), {...normalized.posting, importedAt});
+    postingIds.add(normalized.postingId);
+  }
+
+  // Postings the feed no longer lists are gone from it
+  const previous = await db.collection("jobPostings").where("source", "==", feed).select().get();
+  const stale = previous.docs.filter((doc) => !postingIds.has(doc.id));
+  stale.forEach((doc) => writer.delete(doc.ref));
+  await writer.close();
+
+  return {source: feed, imported: postingIds.size, skipped, removed: stale.length};
+}
+
+/**
+ * Whether a keyword appears in a text as a whole word
+ * @param {string} text - Normalized text
+ * @param {string} keyword - Normalized keyword
+ * @return {boolean} True when found
+ */
+function mentions(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+}
+
+/**
+ * Scores one posting against a resume's keywords
+ * @param {Object} posting - The posting document
+ * @param {Object} resume - {skills: Array<string>, domains: Array<string>, seniority: string}, as worded in the
+ *   analysis
+ * @return {Object} {score, matchedSkills, missingSkills, matchedDomains, seniority: {posting, resume, match},
+ *   explanation}
+ */
+function scorePosting(posting, resume) {
+  const text = normalize(`${posting.title} ${posting.description}`);
+  const resumeSkills = new Map(resume.skills.map((skill) => [normalize(skill), skill]));
+  const required = [...posting.skills, ...posting.tools];
+
+  // Skills the posting lists; without a list, the resume's skills its text mentions
+  let matchedSkills;
+  let missingSkills;
+  let skillScore;
+  if (required.length) {
+    matchedSkills = required.filter((skill) => resumeSkills.has(normalize(skill)));
+    missingSkills = required.filter((skill) => !resumeSkills.has(normalize(skill)));
+    skillScore = matchedSkills.length / required.length;
+  } else {
+    matchedSkills = [...resumeSkills].filter(([key]) => mentions(text, key)).map(([, skill]) => skill);
+    missingSkills = [];
+    skillScore = Math.min(1, matchedSkills.length / 5);
+  }
+
+  const postingDomains = posting.domains.map(normalize);
+  const matchedDomains = resume.domains.filter((domain) =>
+    postingDomains.includes(normalize(domain)) || mentions(text, normalize(domain)));
+  const domainScore = resume.domains.length ? Math.min(1, matchedDomains.length / Math.min(2, resume.domains.length)) : 0;
+
+  const postingLevel = seniorityLevel(posting.seniority || posting.title);
+  const resumeLevel = seniorityLevel(resume.seniority);
+  let seniorityScore = 0.5; // unknown on either side
+  if (postingLevel >= 0 && resumeLevel >= 0) {
+    seniorityScore = [1, 0.5, 0][Math.abs(postingLevel - resumeLevel)];
+  }
+
+  const score = Math.round(100 *
+    (SKILL_WEIGHT * skillScore + DOMAIN_WEIGHT * domainScore + SENIORITY_WEIGHT * seniorityScore));
+
+  const explanation = [
+    required.length ?
+      `Matches ${matchedSkills.length} of ${required.length} listed skills` :
+      `Mentions ${matchedSkills.length} of your skills`,
+    matchedDomains.length ? `domain: ${matchedDomains.join(", ")}` : null,
+    postingLevel >= 0 && resumeLevel >= 0 ?
+      (postingLevel === resumeLevel ? `${SENIORITY_LEVELS[postingLevel]} level matches` :
+        `${SENIORITY_LEVELS[postingLevel]} role, you are ${SENIORITY_LEVELS[resumeLevel]}`) :
+      null,
+  ].filter(Boolean).join("; ");
+
+  return {
+    score,
+    matchedSkills,
+    missingSkills,
+    matchedDomains,
+    seniority: {
+      posting: postingLevel >= 0 ? SENIORITY_LEVELS[postingLevel] : null,
+      resume: resumeLevel >= 0 ? SENIORITY_LEVELS[resumeLevel] : null,
+      match: seniorityScore === 1,
+    },
+    explanation,
+  };
+}
+
+/**
+ * Ranks the postings that share keywords with an analysis
+ * @param {Object} analysis - The analysis document (a generic analysis, with content.keywords)
+ * @param {Object} [options] - {limit: number of postings to return}
+ * @return {Promise<Array<Object>>} [{postingId, title, company, location, url, source, postedAt, score,
+ *   matchedSkills, missingSkills, matchedDomains, seniority, explanation}], best match first
+ */
+async function rankPostings(analysis, {limit = DEFAULT_LIMIT} = {}) {
+  const keywords = analysis.content?.keywords;
+  if (!keywords) {
+    throw new HttpError(400, "invalid-argument", "This analysis has no keywords to match jobs against.");
+  }
+  const resume = {
+    skills: toList([...(keywords.skills || []), ...(keywords.tools || [])]),
+    domains: toList(keywords.domains || []),
+    seniority: keywords.seniority || "",
+  };
+  const terms = [...new Set([...resume.skills, ...resume.domains].map(normalize))];
+  if (terms.length === 0) return [];
+
+  const collection = admin.firestore().collection("jobPostings");
+  const candidates = new Map();
+  for (let i = 0; i < terms.length && candidates.size < MAX_CANDIDATES; i += MAX_QUERY_TERMS) {
+    const snapshot = await collection
+        .where("terms", "array-contains-any", terms.slice(i, i + MAX_QUERY_TERMS))
+        .limit(MAX_CANDIDATES)
+        .get();
+    snapshot.docs.forEach((doc) => candidates.set(doc.id, doc.data()));
+  }
+
+  const now = Date.now();
+  return [...candidates]
+      .filter(([, posting]) => !posting.expiresAt || posting.expiresAt.toMillis() > now)
+      .map(([postingId, posting]) => ({
+        postingId,
+        title: posting.title,
+        company: posting.company,
+        location: posting.location,
+        url: posting.url,
+        source: posting.source,
+        postedAt: posting.postedAt ? posting.postedAt.toDate().toISOString() : null,
+        ...scorePosting(posting, resume),
+      }))
+      .sort((a, b) => b.score - a.score || String(b.postedAt).localeCompare(String(a.postedAt)))
+      .slice(0, Math.max(1, Math.min(Number(limit) || DEFAULT_LIMIT, 100)));
+}
+
+module.exports = {
+  parseCsv,
+  normalizePosting,
+  importPostings,
+  scorePosting,
+  rankPostings,
+};
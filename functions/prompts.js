@@ -0,0 +1,138 @@
+/**
+ * Versioned system prompts.
+ *
+ * Every analysis records the prompt that produced it (analysis.promptVersion),
+ * so prompts can be compared on real user ratings (see ./ratings.js). To change
+ * a prompt, add a new version instead of editing an existing one.
+ *
+ * The analysis of uploaded and generated resumes is A/B tested: each file is
+ * assigned one of ANALYSIS_PROMPTS by a hash of its fileID, in proportion to
+ * the weights in Firestore at `config/prompts` ({analysis: {version: weight}}),
+ * or DEFAULT_ANALYSIS_WEIGHTS when that document is missing.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const {RUBRIC_PROMPT} = require("./rubric");
+
+const ANALYSIS_SCHEMA = `{
+  "summary": "2-4 sentences",
+  "strengths": ["..."],
+  "gaps": ["..."],
+  "suggested_improvements": ["..."],
+  "role_suggestions": ["..."],
+  "keywords": {
+    "skills": ["normalized technical skills"],
+    "tools": ["frameworks/libraries"],
+    "domains": ["areas like backend, ML, data"],
+    "seniority": "Junior|Mid|Senior"
+  }
+}`;
+
+const ANALYSIS_PROMPTS = {
+  "analysis-v1": `You are an expert resume reviewer for software/tech roles.
+Return STRICT JSON with the following schema:
+${ANALYSIS_SCHEMA}${RUBRIC_PROMPT}`,
+
+  // Candidate: fewer, more specific points (users' most common complaint is vague advice)
+  "analysis-v2": `You are an expert resume reviewer for software/tech roles.
+Return STRICT JSON with the following schema:
+${ANALYSIS_SCHEMA}
+Rules:
+- Make every gap and suggested improvement specific: name the section or line it is about.
+- List at most 5 items per list, most important first.
+- Do not suggest anything the resume already does.${RUBRIC_PROMPT}`,
+};
+
+const DEFAULT_ANALYSIS_WEIGHTS = {"analysis-v1": 1};
+
+// Prompts that are not A/B tested yet have one version in use, *_PROMPT_VERSION below
+
+// Regeneration: the resume, the rated analysis and the user's feedback follow in the request
+const REGENERATION_PROMPTS = {
+  "regenerate-v1": `
+You are an expert resume reviewer for software/tech roles.
+Return STRICT JSON with the following schema:
+${ANALYSIS_SCHEMA}${RUBRIC_PROMPT}`,
+};
+
+// Job matches: the job description and the resume follow in the request
+const JOB_MATCH_PROMPTS = {
+  "jobMatch-v1": `You are an expert resume reviewer and technical recruiter.
+Compare the resume against the job description and return STRICT JSON with the following schema:
+{
+  "match_score": 0-100,
+  "summary": "2-4 sentences on how well the resume fits this job",
+  "matched_keywords": ["keywords from the job description found in the resume"],
+  "missing_keywords": ["important keywords from the job description absent from the resume"],
+  "requirements": [
+    {
+      "requirement": "one requirement from the job description",
+      "status": "met|partial|missing",
+      "evidence": "resume content supporting it, or what is lacking"
+    }
+  ],
+  "rewrite_suggestions": [
+    {
+      "original": "an existing resume line (empty if it is a new line)",
+      "suggested": "the line rewritten for this job",
+      "reason": "why this helps for this job"
+    }
+  ]
+}`,
+};
+
+const REGENERATION_PROMPT_VERSION = "regenerate-v1";
+const JOB_MATCH_PROMPT_VERSION = "jobMatch-v1";
+
+/**
+ * Reads the A/B weights of the analysis prompts, ignoring unknown versions
+ * @return {Promise<Object>} {version: weight}
+ */
+async function analysisWeights() {
+  const doc = await admin.firestore().collection("config").doc("prompts").get();
+  const configured = doc.exists ? doc.data().analysis || {} : {};
+  const weights = {};
+  for (const [version, weight] of Object.entries(configured)) {
+    if (Object.hasOwn(ANALYSIS_PROMPTS, version) && Number(weight) > 0) weights[version] = Number(weight);
+  }
+  if (Object.keys(weights).length === 0) {
+    if (doc.exists) logger.warn("config/prompts has no usable analysis weights; using the defaults");
+    return DEFAULT_ANALYSIS_WEIGHTS;
+  }
+  return weights;
+}
+
+/**
+ * Picks the analysis prompt for a file; the same file always gets the same version
+ * while the weights are unchanged
+ * @param {string} fileID - The file being analyzed
+ * @return {Promise<{version: string, system: string}>} The prompt version and its text
+ */
+async function pickAnalysisPrompt(fileID) {
+  const weights = await analysisWeights();
+  const versions = Object.keys(weights).sort();
+  const total = versions.reduce((sum, version) => sum + weights[version], 0);
+
+  const hash = crypto.createHash("sha256").update(String(fileID)).digest();
+  let point = hash.readUInt32BE(0) / 0x100000000 * total;
+  let version = versions[versions.length - 1];
+  for (const candidate of versions) {
+    point -= weights[candidate];
+    if (point < 0) {
+      version = candidate;
+      break;
+    }
+  }
+  return {version, system: ANALYSIS_PROMPTS[version]};
+}
+
+module.exports = {
+  ANALYSIS_PROMPTS,
+  REGENERATION_PROMPTS,
+  REGENERATION_PROMPT_VERSION,
+  JOB_MATCH_PROMPTS,
+  JOB_MATCH_PROMPT_VERSION,
+  pickAnalysisPrompt,
+};
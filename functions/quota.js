@@ -0,0 +1,212 @@
+/**
+ * Per-user usage quotas for the expensive operations (LLM calls, PDF renders).
+ *
+ * Limits come from the user's plan tier (`user.plan`, default "free"; set with
+ * the Admin SDK only, firestore.rules keeps clients from writing it). Each
+ * tier's limits can be overridden in Firestore at `plans/{tier}`, using the
+ * same shape as DEFAULT_PLANS; anything missing falls back to the defaults.
+ *
+ * Usage is counted per UTC day and month in
+ *   usage/{uid}/periods/{YYYY-MM-DD}   and   usage/{uid}/periods/{YYYY-MM}
+ * as {<action>: count}. consumeQuota() checks and increments both counters in
+ * one transaction, so concurrent requests cannot overshoot a limit. Background
+ * jobs are charged by createJob() in the transaction that creates the job
+ * (chargeQuota()), and given back by refundQuota() when the job fails for good.
+ */
+
+const admin = require("firebase-admin");
+const {HttpError} = require("./auth");
+
+// What each action covers:
+// - analysis:     analysis of an upload, job-targeted analysis, importing a file into the wizard
+// - regeneration: "Post & Generate New" (generateNewAnalysis)
+// - pdf:          generatePdf (render + analysis of the generated resume)
+// - rewrite:      AI bullet rewrites
+const ACTIONS = ["analysis", "regeneration", "pdf", "rewrite"];
+
+const DEFAULT_PLANS = {
+  free: {
+    analysis: {daily: 5, monthly: 40},
+    regeneration: {daily: 5, monthly: 40},
+    pdf: {daily: 5, monthly: 30},
+    rewrite: {daily: 20, monthly: 200},
+  },
+  pro: {
+    analysis: {daily: 50, monthly: 500},
+    regeneration: {daily: 50, monthly: 500},
+    pdf: {daily: 50, monthly: 500},
+    rewrite: {daily: 200, monthly: 3000},
+  },
+};
+
+const DEFAULT_PLAN = "free";
+
+/**
+ * Returns the day and month periods (UTC) for a date, with their reset times
+ * @param {Date} now - The current time
+ * @return {{daily: Object, monthly: Object}} {id, resetAt} per period
+ */
+function periodsFor(now) {
+  const iso = now.toISOString();
+  return {
+    daily: {
+      id: iso.slice(0, 10),
+      resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+    },
+    monthly: {
+      id: iso.slice(0, 7),
+      resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+    },
+  };
+}
+
+/**
+ * Looks up the user's plan tier and its limits
+ * @param {string} userId - The user
+ * @return {Promise<{plan: string, limits: Object}>} {plan, limits: {action: {daily, monthly}}}
+ */
+async function getPlanLimits(userId) {
+  const db = admin.firestore();
+  const userDoc = await db.collection("user").doc(userId).get();
+  const requested = userDoc.exists ? userDoc.data().plan : null;
+  const plan = requested && Object.hasOwn(DEFAULT_PLANS, requested) ? requested : DEFAULT_PLAN;
+
+  const planDoc = await db.collection("plans").doc(plan).get();
+  const overrides = planDoc.exists ? planDoc.data() : {};
+
+  const limits = {};
+  for (const action of ACTIONS) {
+    limits[action] = {...DEFAULT_PLANS[plan][action], ...overrides[action]};
+  }
+  return {plan, limits};
+}
+
+/**
+ * Returns the Firestore references of the user's counters for the given periods
+ * @param {string} userId - The user
+ * @param {Object} periodIds - {daily, monthly}: period ids, e.g. {daily: "2025-01-31", monthly: "2025-01"}
+ * @return {{daily: Object, monthly: Object}} DocumentReferences
+ */
+function counterRefs(userId, periodIds) {
+  const base = admin.firestore().collection("usage").doc(userId).collection("periods");
+  return {daily: base.doc(periodIds.daily), monthly: base.doc(periodIds.monthly)};
+}
+
+/**
+ * Reads what charging an action needs before a transaction starts: the plan limits and the current periods
+ * @param {string} userId - The user
+ * @param {string} action - One of ACTIONS
+ * @return {Promise<Object>} {userId, action, plan, limits, now, periods}, for chargeQuota()
+ */
+async function prepareCharge(userId, action) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown quota action: ${action}`);
+  }
+  const {plan, limits} = await getPlanLimits(userId);
+  const now = new Date();
+  return {userId, action, plan, limits, now, periods: periodsFor(now)};
+}
+
+/**
+ * Counts one use of an action within a transaction, or throws a 429 HttpError when a daily or
+ * monthly limit is reached. The counters are read first, so other reads must come before it.
+ * @param {Object} transaction - The Firestore transaction
+ * @param {Object} charge - From prepareCharge()
+ * @return {Promise<Object>} {remaining: {daily, monthly}, charged: {action, daily, monthly}} - charged holds
+ *   the period ids, for refundQuota()
+ */
+async function chargeQuota(transaction, {userId, action, plan, limits, now, periods}) {
+  const charged = {action, daily: periods.daily.id, monthly: periods.monthly.id};
+  const refs = counterRefs(userId, charged);
+  const [dailyDoc, monthlyDoc] = await Promise.all([transaction.get(refs.daily), transaction.get(refs.monthly)]);
+  const used = {
+    daily: (dailyDoc.exists && dailyDoc.data()[action]) || 0,
+    monthly: (monthlyDoc.exists && monthlyDoc.data()[action]) || 0,
+  };
+
+  for (const period of ["monthly", "daily"]) {
+    const limit = limits[action][period];
+    if (used[period] >= limit) {
+      const resetAt = periods[period].resetAt;
+      throw new HttpError(429, "resource-exhausted",
+          `${period === "daily" ? "Daily" : "Monthly"} ${action} limit of ${limit} reached on the ${plan} plan. ` +
+          `It resets at ${resetAt.toISOString()}.`,
+          {action, period, limit, plan, resetAt: resetAt.toISOString(),
+            retryAfterSeconds: Math.ceil((resetAt - now) / 1000)});
+    }
+  }
+
+  const increment = admin.firestore.FieldValue.increment(1);
+  const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+  transaction.set(refs.daily, {[action]: increment, updatedAt}, {merge: true});
+  transaction.set(refs.monthly, {[action]: increment, updatedAt}, {merge: true});
+
+  return {
+    remaining: {
+      daily: limits[action].daily - used.daily - 1,
+      monthly: limits[action].monthly - used.monthly - 1,
+    },
+    charged,
+  };
+}
+
+/**
+ * Gives back a use counted by chargeQuota(), in the periods it was counted in
+ * @param {Object} writer - A Firestore transaction or WriteBatch
+ * @param {string} userId - The user
+ * @param {Object} charged - {action, daily, monthly} from chargeQuota()
+ */
+function refundQuota(writer, userId, charged) {
+  const refs = counterRefs(userId, charged);
+  const decrement = admin.firestore.FieldValue.increment(-1);
+  const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+  writer.set(refs.daily, {[charged.action]: decrement, updatedAt}, {merge: true});
+  writer.set(refs.monthly, {[charged.action]: decrement, updatedAt}, {merge: true});
+}
+
+/**
+ * Counts one use of an action, or throws a 429 HttpError when a daily or monthly limit is reached
+ * @param {string} userId - The user
+ * @param {string} action - One of ACTIONS
+ * @return {Promise<Object>} Remaining uses: {daily, monthly}
+ */
+async function consumeQuota(userId, action) {
+  const charge = await prepareCharge(userId, action);
+  const {remaining} = await admin.firestore().runTransaction((transaction) => chargeQuota(transaction, charge));
+  return remaining;
+}
+
+/**
+ * Returns the user's usage and limits for every action
+ * @param {string} userId - The user
+ * @return {Promise<Object>} {plan, usage: {action: {daily: {used, limit, remaining, resetAt}, monthly: {...}}}}
+ */
+async function getUsage(userId) {
+  const {plan, limits} = await getPlanLimits(userId);
+  const periods = periodsFor(new Date());
+  const refs = counterRefs(userId, {daily: periods.daily.id, monthly: periods.monthly.id});
+  const [dailyDoc, monthlyDoc] = await Promise.all([refs.daily.get(), refs.monthly.get()]);
+  const counters = {daily: dailyDoc.data() || {}, monthly: monthlyDoc.data() || {}};
+
+  const usage = {};
+  for (const action of ACTIONS) {
+    usage[action] = {};
+    for (const period of ["daily", "monthly"]) {
+      const used = counters[period][action] || 0;
+      const limit = limits[action][period];
+      usage[action][period] = {used, limit, remaining: Math.max(0, limit - used),
+        resetAt: periods[period].resetAt.toISOString()};
+    }
+  }
+  return {plan, usage};
+}
+
+module.exports = {
+  ACTIONS,
+  DEFAULT_PLANS,
+  prepareCharge,
+  chargeQuota,
+  refundQuota,
+  consumeQuota,
+  getUsage,
+};
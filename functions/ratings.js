@@ -0,0 +1,172 @@
+/**
+ * Rating analytics: how users rate analyses, per model, prompt version and
+ * file type, and what they complain about.
+ *
+ * aggregateRatings() runs daily (exports.aggregateRatings in index.js) over all
+ * rated analyses and writes
+ *   analytics/ratings                        <- the latest run
+ *   analytics/ratings/history/{YYYY-MM-DD}   <- one copy per day, for trends
+ * as {computedAt, ratedCount, overall, byModel, byPromptVersion, byFileType,
+ * themes}. Each group is {key..., count, mean, distribution: {1..5: count}}.
+ * Themes are extracted by the LLM from the comments on low ratings.
+ */
+
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const {generateValidatedJson} = require("./structuredOutput");
+const {getModel} = require("./llm");
+
+// Comments on ratings up to this value count as complaints
+const COMPLAINT_MAX_RATING = 3;
+const MAX_THEME_COMMENTS = 200;
+const MAX_COMMENT_LENGTH = 500;
+
+/**
+ * Adds a rating to the group with the given key
+ * @param {Map} groups - key => stats
+ * @param {Object} key - The fields identifying the group, e.g. {promptVersion}
+ * @param {number} rating - 1..5
+ */
+function addRating(groups, key, rating) {
+  const id = JSON.stringify(key);
+  if (!groups.has(id)) groups.set(id, {...key, count: 0, sum: 0, distribution: {1: 0, 2: 0, 3: 0, 4: 0, 5: 0}});
+  const stats = groups.get(id);
+  stats.count += 1;
+  stats.sum += rating;
+  stats.distribution[rating] += 1;
+}
+
+/**
+ * Turns accumulated groups into the stored shape, largest groups first
+ * @param {Map} groups - key => stats
+ * @return {Array<Object>} [{...key, count, mean, distribution}]
+ */
+function finishGroups(groups) {
+  return [...groups.values()]
+      .map(({sum, ...stats}) => ({...stats, mean: Math.round(sum / stats.count * 100) / 100}))
+      .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Looks up the file type of analyses saved before it was stored on the analysis
+ * @param {Array<string>} fileIDs - The files
+ * @return {Promise<Object>} {fileID: fileType}
+ */
+async function fileTypes(fileIDs) {
+  const types = {};
+  const db = admin.firestore();
+  for (let i = 0; i < fileIDs.length; i += 100) {
+    const refs = fileIDs.slice(i, i + 100).map((fileID) => db.collection("file").doc(fileID));
+    const docs = await db.getAll(...refs);
+    docs.forEach((doc) => {
+      types[doc.id] = doc.exists ? doc.data().fileType || null : null;
+    });
+  }
+  return types;
+}
+
+/**
+ * Groups complaint comments into recurring themes
+ * @param {Array<{rating: number, comment: string}>} complaints - Most recent first
+ * @return {Promise<Object>} {themes: [{theme, description, count, examples}], model, validationStatus}
+ */
+async function extractThemes(complaints) {
+  if (complaints.length === 0) return {themes: [], model: null, validationStatus: null};
+
+  const model = getModel({task: "complaintThemes"});
+  const system = `You analyze user feedback on AI-generated resume reviews.
+Group the comments below into recurring complaint themes and return STRICT JSON:
+{
+  "themes": [
+    {"theme": "short name", "description": "one sentence", "count": 0, "examples": ["verbatim comment excerpts"]}
+  ]
+}
+Rules:
+- "count" is how many comments belong to the theme; order themes by count, largest first.
+- At most 8 themes and 3 short examples each. Ignore comments that are not complaints.`;
+  const comments = complaints
+      .map(({rating, comment}, i) => `${i + 1}. [${rating}/5] ${comment.slice(0, MAX_COMMENT_LENGTH)}`)
+      .join("\n");
+
+  const {parsed, validation} = await generateValidatedJson(model, [
+    {role: "user", parts: [{text: system}]},
+    {role: "user", parts: [{text: `Comments:\n${comments}\n\nGenerate the JSON now. Do not include explanations.`}]},
+  ], "complaintThemes");
+
+  return {
+    themes: validation.status === "invalid" ? [] : parsed.themes,
+    model: model.name,
+    validationStatus: validation.status,
+  };
+}
+
+/**
+ * Recomputes the rating analytics over every rated analysis
+ * @return {Promise<Object>} The stored summary
+ */
+async function aggregateRatings() {
+  const db = admin.firestore();
+  const snapshot = await db.collection("analysis")
+      .where("userRating", "!=", null)
+      .select("userRating", "userComment", "model", "provider", "promptVersion", "fileType", "fileID",
+          "generateTime")
+      .get();
+
+  const rated = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((analysis) => Number.isInteger(analysis.userRating) &&
+        analysis.userRating >= 1 && analysis.userRating <= 5);
+
+  const missingTypes = [...new Set(rated.filter((a) => !a.fileType && a.fileID).map((a) => a.fileID))];
+  const types = await fileTypes(missingTypes);
+
+  const overall = new Map();
+  const byModel = new Map();
+  const byPromptVersion = new Map();
+  const byFileType = new Map();
+  for (const analysis of rated) {
+    const rating = analysis.userRating;
+    addRating(overall, {}, rating);
+    addRating(byModel, {provider: analysis.provider || "unknown", model: analysis.model || "unknown"}, rating);
+    addRating(byPromptVersion, {promptVersion: analysis.promptVersion || "unversioned"}, rating);
+    addRating(byFileType, {fileType: analysis.fileType || types[analysis.fileID] || "unknown"}, rating);
+  }
+
+  const complaints = rated
+      .filter((a) => a.userRating <= COMPLAINT_MAX_RATING && typeof a.userComment === "string" && a.userComment.trim())
+      .sort((a, b) => (b.generateTime?.toMillis() || 0) - (a.generateTime?.toMillis() || 0))
+      .slice(0, MAX_THEME_COMMENTS)
+      .map((a) => ({rating: a.userRating, comment: a.userComment.trim()}));
+
+  let themes = {themes: [], model: null, validationStatus: null};
+  try {
+    themes = await extractThemes(complaints);
+  } catch (error) {
+    // The counts are still worth storing without the themes
+    logger.error("Complaint theme extraction failed", {message: error.message});
+  }
+
+  const summary = {
+    computedAt: admin.firestore.FieldValue.serverTimestamp(),
+    ratedCount: rated.length,
+    overall: finishGroups(overall)[0] || null,
+    byModel: finishGroups(byModel),
+    byPromptVersion: finishGroups(byPromptVersion),
+    byFileType: finishGroups(byFileType),
+    complaintCount: complaints.length,
+    themes: themes.themes,
+    themeModel: themes.model,
+    themeValidationStatus: themes.validationStatus,
+  };
+
+  const ref = db.collection("analytics").doc("ratings");
+  await ref.set(summary);
+  await ref.collection("history").doc(new Date().toISOString().slice(0, 10)).set(summary);
+  logger.info("Rating analytics updated", {ratedCount: rated.length, complaints: complaints.length});
+  return summary;
+}
+
+module.exports = {
+  COMPLAINT_MAX_RATING,
+  aggregateRatings,
+};
@@ -0,0 +1,155 @@
+/**
+ * Structured resume drafts and their versions.
+ *
+ *   users/{uid}/resumes/{resumeId}
+ *     {name, draft, draft_updated_at, version_count, latest_version_id, created_at, updated_at,
+ *      imported: {fileID, confidence, needsReview, ...}}   <- when created from an uploaded file
+ *   users/{uid}/resumes/{resumeId}/versions/{versionId}
+ *     {version_number, label, source, data, template, created_at,
+ *      fileID, firebase_path, gcs_uri, page_count, bytes, title, generated_at}   <- once a PDF exists
+ *
+ * The draft is autosaved by gen.html straight to Firestore. Versions are
+ * immutable snapshots of a draft and are only written here (server side), so
+ * version numbers are assigned inside a transaction and every generated PDF
+ * points at the exact data that produced it.
+ */
+
+const admin = require("firebase-admin");
+
+// Fields of collectFormData() that belong to the resume itself
+const RESUME_FIELDS = [
+  "name", "phone", "email", "summary", "additionalPhone", "personalPage", "linkedinLink", "links",
+  "education", "workExperience", "projectExperience", "skills", "certifications", "languages", "awards",
+  "publications", "title",
+];
+
+/**
+ * Returns the Firestore reference of a resume
+ * @param {string} userId - The owner
+ * @param {string} resumeId - The resume
+ * @return {Object} DocumentReference
+ */
+function resumeRef(userId, resumeId) {
+  return admin.firestore().collection("users").doc(userId).collection("resumes").doc(resumeId);
+}
+
+/**
+ * Keeps only the resume fields of a request body (drops userId, page options, ...)
+ * @param {Object} body - The structured resume as sent by gen.html
+ * @return {Object} The snapshot stored on a version
+ */
+function pickResumeData(body) {
+  const data = {};
+  for (const field of RESUME_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+}
+
+/**
+ * Creates the next version of a resume inside a transaction. All reads happen
+ * first, so call this before any other write in the same transaction.
+ * @param {Object} transaction - A Firestore transaction
+ * @param {Object} params - The version
+ * @param {string} params.userId - The owner
+ * @param {string} params.resumeId - The resume (created if it does not exist yet)
+ * @param {Object} params.data - The structured resume
+ * @param {string} [params.template] - The template id
+ * @param {string} [params.label] - A user-given label, e.g. "Sent to Acme"
+ * @param {string} [params.source] - "manual" or "generatePdf"
+ * @return {Promise<{versionId: string, versionNumber: number}>} The new version
+ */
+async function createVersion(transaction, {userId, resumeId, data, template, label, source = "manual"}) {
+  const ref = resumeRef(userId, resumeId);
+  const resumeDoc = await transaction.get(ref);
+  const resume = resumeDoc.exists ? resumeDoc.data() : {};
+
+  const versionNumber = (resume.version_count || 0) + 1;
+  const versionRef = ref.collection("versions").doc();
+  const snapshot = pickResumeData(data);
+
+  transaction.set(versionRef, {
+    version_number: versionNumber,
+    label: label || `Version ${versionNumber}`,
+    source,
+    data: snapshot,
+    template: template || null,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const update = {
+    version_count: versionNumber,
+    latest_version_id: versionRef.id,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (!resumeDoc.exists) {
+    update.name = snapshot.title || snapshot.name || "Untitled resume";
+    update.draft = snapshot;
+    update.created_at = admin.firestore.FieldValue.serverTimestamp();
+  }
+  transaction.set(ref, update, {merge: true});
+
+  return {versionId: versionRef.id, versionNumber};
+}
+
+/**
+ * Scores below this are flagged for review when a resume is imported
+ */
+const REVIEW_THRESHOLD = 0.7;
+
+/**
+ * Cleans up the per-field confidence returned by the import model and lists the
+ * fields the user should double-check (low confidence, or filled without a score)
+ * @param {Object} data - The imported resume
+ * @param {Object} confidence - {field: 0..1} as returned by the model
+ * @return {{confidence: Object, needsReview: Array<string>}} Scores per resume field
+ */
+function reviewImport(data, confidence) {
+  const scores = {};
+  const needsReview = [];
+
+  // The title is the document name, not something read from the file
+  for (const field of RESUME_FIELDS.filter((f) => f !== "title")) {
+    const value = data[field];
+    const filled = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    if (!filled) continue;
+
+    const score = Number(confidence?.[field]);
+    scores[field] = Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : null;
+    if (scores[field] === null || scores[field] < REVIEW_THRESHOLD) needsReview.push(field);
+  }
+  return {confidence: scores, needsReview};
+}
+
+/**
+ * Creates a new resume whose draft is the given data (e.g. an imported file)
+ * @param {string} userId - The owner
+ * @param {Object} data - The structured resume
+ * @param {Object} [extra] - Additional resume fields, e.g. {imported: {...}}
+ * @return {Promise<string>} The new resumeId
+ */
+async function createResume(userId, data, extra = {}) {
+  const ref = admin.firestore().collection("users").doc(userId).collection("resumes").doc();
+  const draft = pickResumeData(data);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  await ref.set({
+    name: draft.title || draft.name || "Untitled resume",
+    draft,
+    draft_updated_at: now,
+    created_at: now,
+    updated_at: now,
+    ...extra,
+  });
+  return ref.id;
+}
+
+module.exports = {
+  RESUME_FIELDS,
+  REVIEW_THRESHOLD,
+  resumeRef,
+  pickResumeData,
+  createVersion,
+  reviewImport,
+  createResume,
+};
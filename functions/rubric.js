@@ -0,0 +1,124 @@
+/**
+ * A fixed scoring rubric for resumes, and the per-user progress series built on it.
+ *
+ * Every generic analysis asks the model for a 0-5 rating per criterion
+ * (content.rubric). The overall 0-100 score is computed here with fixed
+ * weights, so scores stay comparable across files, models and prompt changes
+ * to the rest of the analysis. Analyses saved before the rubric existed have
+ * no score, but still contribute skill coverage and gap counts.
+ */
+
+const admin = require("firebase-admin");
+
+const RUBRIC_VERSION = 1;
+
+const RUBRIC = [
+  {id: "impact", weight: 0.25, description: "bullets show concrete, quantified results"},
+  {id: "relevance", weight: 0.2, description: "skills and experience fit the roles the resume targets"},
+  {id: "clarity", weight: 0.2, description: "concise, specific wording without filler"},
+  {id: "structure", weight: 0.15, description: "clear sections, consistent dates and formatting"},
+  {id: "ats", weight: 0.2, description: "standard headings and keywords an applicant tracking system can parse"},
+];
+
+// Appended to the resume analysis prompts
+const RUBRIC_PROMPT = `
+Also rate the resume in "rubric" with one integer from 0 (poor) to 5 (excellent) per criterion:
+${RUBRIC.map((criterion) => `- "${criterion.id}": ${criterion.description}`).join("\n")}
+Example: "rubric": {${RUBRIC.map((criterion) => `"${criterion.id}": 3`).join(", ")}}`;
+
+/**
+ * Computes the overall score of a rubric rating
+ * @param {Object} [rubric] - {criterionId: 0..5} as returned by the model
+ * @return {number|null} 0-100, or null if a criterion is missing
+ */
+function scoreRubric(rubric) {
+  if (!rubric) return null;
+  let total = 0;
+  for (const criterion of RUBRIC) {
+    const value = Number(rubric[criterion.id]);
+    if (!Number.isFinite(value)) return null;
+    total += criterion.weight * Math.min(5, Math.max(0, value)) / 5;
+  }
+  return Math.round(total * 100);
+}
+
+/**
+ * Finds the most recent generic analysis of a file
+ * @param {Object} file - The file document
+ * @return {Promise<Object|null>} {analysisID, ...analysis}, or null
+ */
+async function latestGenericAnalysis(file) {
+  const ids = Object.entries(file.analysis || {})
+      .sort(([a], [b]) => Number(b) - Number(a))
+      .map(([, id]) => id);
+  for (const analysisID of ids) {
+    const doc = await admin.firestore().collection("analysis").doc(analysisID).get();
+    const analysis = doc.data();
+    if (analysis && (analysis.type || "generic") === "generic" && analysis.content?.keywords) {
+      return {analysisID, ...analysis};
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns one point per file of the user, oldest first: the rubric score, skill
+ * coverage and gap count of the file's latest generic analysis. Skill coverage
+ * is the share of all skills and tools found across the user's files that this
+ * version lists.
+ * @param {string} userId - The user
+ * @return {Promise<Object>} {rubricVersion, rubric: [{id, weight, description}], points: [{fileID, filename, type,
+ *   date, analysisID, score, criteria, skillCount, skillCoverage, gapCount, seniority}]}
+ */
+async function getProgress(userId) {
+  const db = admin.firestore();
+  const userDoc = await db.collection("user").doc(userId).get();
+  const fileIDs = userDoc.exists ? userDoc.data().files || [] : [];
+
+  const points = [];
+  for (const fileID of fileIDs) {
+    const fileDoc = await db.collection("file").doc(fileID).get();
+    if (!fileDoc.exists || fileDoc.data().owner !== userId) continue;
+    const file = fileDoc.data();
+    const analysis = await latestGenericAnalysis(file);
+    if (!analysis) continue;
+
+    const keywords = analysis.content.keywords || {};
+    const skills = [...new Set([...(keywords.skills || []), ...(keywords.tools || [])]
+        .map((skill) => String(skill).trim().toLowerCase()))];
+    // Older upload pages stored uploadDate as an ISO string
+    const uploaded = file.uploadDate || analysis.generateTime;
+    const date = typeof uploaded === "string" ? new Date(uploaded) : uploaded?.toDate();
+
+    points.push({
+      fileID,
+      filename: file.filename || "",
+      type: file.type || "Uploaded",
+      date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+      analysisID: analysis.analysisID,
+      score: scoreRubric(analysis.content.rubric),
+      criteria: analysis.content.rubric || null,
+      skills,
+      skillCount: skills.length,
+      gapCount: (analysis.content.gaps || []).length,
+      seniority: keywords.seniority || null,
+    });
+  }
+
+  points.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  const allSkills = new Set(points.flatMap((point) => point.skills));
+  for (const point of points) {
+    point.skillCoverage = allSkills.size ? Math.round(point.skillCount / allSkills.size * 100) / 100 : null;
+    delete point.skills;
+  }
+
+  return {rubricVersion: RUBRIC_VERSION, rubric: RUBRIC, points};
+}
+
+module.exports = {
+  RUBRIC_VERSION,
+  RUBRIC,
+  RUBRIC_PROMPT,
+  scoreRubric,
+  getProgress,
+};
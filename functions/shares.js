@@ -0,0 +1,302 @@
+/**
+ * Read-only share links for a file, or for one of its analyses.
+ *
+ *   shares/{token}
+ *     {owner, fileID, analysisID|null, filename, createdAt, expiresAt,
+ *      revoked, revokedAt, accessCount, downloadCount, lastAccessedAt}
+ *
+ * The token is the document id: 32 random bytes, base64url. Nobody reads the
+ * collection from the client (firestore.rules denies it); the owner manages
+ * links through createShare/listShares/revokeShare, and anyone holding a token
+ * can open the viewer page served by viewShare at /share/{token}, and, for a
+ * file link, the file itself at /share/{token}/file, until the link expires or
+ * is revoked. An analysis link shows the analysis only, never the resume. Opening
+ * the page counts an access, and its "Open" link (/share/{token}/file?download=1)
+ * a download; the page's inline preview of the file counts nothing. A file in
+ * the trash is not shown either; deleting the file removes its links
+ * (cleanupFile() in files.js).
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {HttpError} = require("./auth");
+const {ownedPath} = require("./files");
+const {escapeHtml} = require("./templates");
+
+const EXPIRY_OPTIONS = [1, 7, 30]; // days
+const DEFAULT_EXPIRY_DAYS = 7;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Returns the Firestore reference of a share
+ * @param {string} token - The share token
+ * @return {Object} DocumentReference
+ */
+function shareRef(token) {
+  return admin.firestore().collection("shares").doc(token);
+}
+
+/**
+ * Converts a share document for the owner's list
+ * @param {Object} doc - The share document
+ * @return {Object} {token, path, fileID, analysisID, filename, createdAt, expiresAt, active, revoked,
+ *   accessCount, downloadCount, lastAccessedAt}
+ */
+function describeShare(doc) {
+  const share = doc.data();
+  const iso = (timestamp) => (timestamp ? timestamp.toDate().toISOString() : null);
+  return {
+    token: doc.id,
+    path: `/share/${doc.id}`,
+    fileID: share.fileID,
+    analysisID: share.analysisID || null,
+    filename: share.filename || "",
+    createdAt: iso(share.createdAt),
+    expiresAt: iso(share.expiresAt),
+    active: !share.revoked && share.expiresAt.toMillis() > Date.now(),
+    revoked: Boolean(share.revoked),
+    accessCount: share.accessCount || 0,
+    downloadCount: share.downloadCount || 0,
+    lastAccessedAt: iso(share.lastAccessedAt),
+  };
+}
+
+/**
+ * Creates a share link for a file or one of its analyses
+ * @param {string} userId - The owner
+ * @param {Object} params - {fileID, analysisID, expiresInDays}
+ * @return {Promise<Object>} The share, as listShares() returns it
+ */
+async function createShare(userId, {fileID, analysisID = null, expiresInDays = DEFAULT_EXPIRY_DAYS}) {
+  const days = Number(expiresInDays);
+  if (!EXPIRY_OPTIONS.includes(days)) {
+    throw new HttpError(400, "invalid-argument", `expiresInDays must be one of ${EXPIRY_OPTIONS.join(", ")}.`);
+  }
+
+  const db = admin.firestore();
+  const fileDoc = await db.collection("file").doc(fileID).get();
+  if (!fileDoc.exists) throw new HttpError(404, "not-found", "File document not found.");
+  const file = fileDoc.data();
+  if (file.owner !== userId) throw new HttpError(403, "permission-denied", "You do not have access to this file.");
+  if (file.deleted) throw new HttpError(409, "failed-precondition", "Restore the file before sharing it.");
+
+  if (analysisID) {
+    const analysisDoc = await db.collection("analysis").doc(analysisID).get();
+    if (!analysisDoc.exists || analysisDoc.data().fileID !== fileID) {
+      throw new HttpError(404, "not-found", "This file has no such analysis.");
+    }
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const ref = shareRef(token);
+  await ref.create({
+    owner: userId,
+    fileID,
+    analysisID: analysisID || null,
+    filename: file.filename || "",
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + days * 24 * 60 * 60 * 1000),
+    revoked: false,
+    revokedAt: null,
+    accessCount: 0,
+    downloadCount: 0,
+    lastAccessedAt: null,
+  });
+  return describeShare(await ref.get());
+}
+
+/**
+ * Lists a user's share links, newest first
+ * @param {string} userId - The owner
+ * @param {string} [fileID] - Only the links of this file
+ * @return {Promise<Array<Object>>} The shares
+ */
+async function listShares(userId, fileID = null) {
+  let query = admin.firestore().collection("shares").where("owner", "==", userId);
+  if (fileID) query = query.where("fileID", "==", fileID);
+  const snapshot = await query.get();
+  return snapshot.docs
+      .map(describeShare)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Revokes a share link; the record and its counts are kept
+ * @param {string} userId - The owner
+ * @param {string} token - The share token
+ * @return {Promise<Object>} The share
+ */
+async function revokeShare(userId, token) {
+  const ref = shareRef(token);
+  const doc = TOKEN_PATTERN.test(token || "") ? await ref.get() : null;
+  if (!doc?.exists || doc.data().owner !== userId) throw new HttpError(404, "not-found", "Share link not found.");
+
+  if (!doc.data().revoked) {
+    await ref.update({revoked: true, revokedAt: admin.firestore.FieldValue.serverTimestamp()});
+  }
+  return describeShare(await ref.get());
+}
+
+/**
+ * Resolves a token for the public viewer and counts the access
+ * @param {string} token - The share token
+ * @param {string|null} [kind] - "view" or "download"; null counts nothing
+ * @param {Object} [options] - {file: the file itself is requested, which only file links serve}
+ * @return {Promise<Object>} {share, file, analysis}; analysis is null for a file link
+ */
+async function openShare(token, kind = "view", {file = false} = {}) {
+  const gone = new HttpError(404, "not-found", "This link does not exist, has expired or was revoked.");
+  if (!TOKEN_PATTERN.test(token || "")) throw gone;
+
+  const db = admin.firestore();
+  const ref = shareRef(token);
+  const doc = await ref.get();
+  if (!doc.exists) throw gone;
+  const share = doc.data();
+  if (share.revoked || share.expiresAt.toMillis() <= Date.now()) throw gone;
+  if (file && share.analysisID) throw gone;
+
+  const fileDoc = await db.collection("file").doc(share.fileID).get();
+  if (!fileDoc.exists || fileDoc.data().deleted) throw gone;
+  ownedPath(fileDoc.data());
+
+  let analysis = null;
+  if (share.analysisID) {
+    const analysisDoc = await db.collection("analysis").doc(share.analysisID).get();
+    if (!analysisDoc.exists) throw gone;
+    analysis = analysisDoc.data();
+  }
+
+  if (kind) {
+    await ref.update({
+      [kind === "download" ? "downloadCount" : "accessCount"]: admin.firestore.FieldValue.increment(1),
+      lastAccessedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+  return {share, file: fileDoc.data(), analysis};
+}
+
+/**
+ * Renders a list of strings
+ * @param {Array<string>} items - The items
+ * @return {string} HTML
+ */
+function listHtml(items) {
+  if (!Array.isArray(items) || items.length === 0) return "N/A";
+  return `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`;
+}
+
+/**
+ * Renders the rows of an analysis, general or targeted
+ * @param {Object} analysis - The analysis document
+ * @return {string} HTML table rows
+ */
+function analysisRows(analysis) {
+  const content = analysis.content;
+  const row = (label, html) => `<tr><th>${label}</th><td>${html}</td></tr>`;
+  if (analysis.validation?.status === "invalid" || !content || content.rawText !== undefined) {
+    return row("Analysis", "This analysis is not available.");
+  }
+
+  if (analysis.type === "targeted") {
+    const requirements = (content.requirements || []).map((req) =>
+      `${escapeHtml(req.requirement || "")} (${escapeHtml(req.status || "missing")})`);
+    const rewrites = (content.rewrite_suggestions || []).map((item) => item.suggested || "");
+    return [
+      row("Role", escapeHtml(analysis.jobDescription?.title || "N/A")),
+      row("Match Score", `${escapeHtml(analysis.score ?? "N/A")} / 100`),
+      row("Summary", escapeHtml(content.summary || "N/A")),
+      row("Matched Keywords", listHtml(content.matched_keywords)),
+      row("Missing Keywords", listHtml(content.missing_keywords)),
+      row("Requirement Coverage", requirements.length ? `<ul><li>${requirements.join("</li><li>")}</li></ul>` : "N/A"),
+      row("Tailored Rewrites", listHtml(rewrites)),
+    ].join("");
+  }
+
+  const keywords = content.keywords || {};
+  return [
+    row("Summary", escapeHtml(content.summary || "N/A")),
+    row("Strengths", listHtml(content.strengths)),
+    row("Gaps", listHtml(content.gaps)),
+    row("Suggested Improvements", listHtml(content.suggested_improvements)),
+    row("Role Suggestions", listHtml(content.role_suggestions)),
+    row("Skills", listHtml(keywords.skills)),
+    row("Tools", listHtml(keywords.tools)),
+    row("Domains", listHtml(keywords.domains)),
+    row("Seniority", escapeHtml(keywords.seniority || "N/A")),
+  ].join("");
+}
+
+/**
+ * Wraps the viewer's content in a page
+ * @param {string} title - The page title (plain text)
+ * @param {string} body - HTML
+ * @return {string} The page
+ */
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; background: #f4f4f9; margin: 0; color: #333; }
+  .container { max-width: 800px; margin: 30px auto; background: white; padding: 24px; border-radius: 10px;
+    box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1); }
+  h1 { font-size: 22px; margin-top: 0; }
+  .meta { color: #777; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th, td { text-align: left; vertical-align: top; padding: 10px; border-bottom: 1px solid #eee; }
+  th { width: 30%; }
+  ul { margin: 0; padding-left: 18px; }
+  iframe { width: 100%; height: 80vh; border: 1px solid #ddd; margin-top: 16px; }
+  a.button { display: inline-block; margin-top: 12px; padding: 8px 14px; background: #007bff; color: white;
+    border-radius: 5px; text-decoration: none; }
+</style>
+</head>
+<body><div class="container">${body}</div></body>
+</html>`;
+}
+
+/**
+ * Renders the viewer page of a share
+ * @param {string} token - The share token
+ * @param {Object} shared - From openShare()
+ * @return {string} HTML
+ */
+function renderSharePage(token, {share, file, analysis}) {
+  const filename = file.filename || share.filename || "Resume";
+  const fileUrl = `/share/${encodeURIComponent(token)}/file`;
+  const expires = share.expiresAt.toDate().toISOString().slice(0, 10);
+  const heading = analysis ?
+    `<h1>Resume analysis: ${escapeHtml(filename)}</h1>` :
+    `<h1>${escapeHtml(filename)}</h1>`;
+  const meta = `<p class="meta">Shared read-only until ${expires}.</p>`;
+  if (analysis) {
+    return page(`Analysis of ${filename}`, `${heading}${meta}<table>${analysisRows(analysis)}</table>`);
+  }
+  const download = `<a class="button" href="${fileUrl}?download=1">Open the resume</a>`;
+  const preview = /\.pdf$/i.test(file.path || "") ? `<iframe src="${fileUrl}" title="${escapeHtml(filename)}"></iframe>` : "";
+  return page(filename, `${heading}${meta}${preview}${download}`);
+}
+
+/**
+ * Renders the page shown for an unknown, expired or revoked link
+ * @param {string} message - Why
+ * @return {string} HTML
+ */
+function renderShareError(message) {
+  return page("Link unavailable", `<h1>Link unavailable</h1><p>${escapeHtml(message)}</p>`);
+}
+
+module.exports = {
+  EXPIRY_OPTIONS,
+  createShare,
+  listShares,
+  revokeShare,
+  openShare,
+  renderSharePage,
+  renderShareError,
+};
@@ -0,0 +1,98 @@
+/**
+ * JSON generation with schema validation.
+ *
+ * The model is asked for STRICT JSON, but it does not always comply. Every
+ * response is parsed and validated against a JSON Schema from ./schemas; on
+ * failure the errors are sent back to the model with a repair prompt, up to
+ * MAX_ATTEMPTS times in total.
+ */
+
+const Ajv = require("ajv");
+const logger = require("firebase-functions/logger");
+
+const ajv = new Ajv({allErrors: true});
+
+const validators = {
+  resumeAnalysis: ajv.compile(require("./schemas/resume_analysis.json")),
+  jobMatch: ajv.compile(require("./schemas/job_match.json")),
+  resumeImport: ajv.compile(require("./schemas/resume_import.json")),
+  bulletRewrite: ajv.compile(require("./schemas/bullet_rewrite.json")),
+  complaintThemes: ajv.compile(require("./schemas/complaint_themes.json")),
+};
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Parses and validates one model response
+ * @param {string} raw - The raw text returned by the model
+ * @param {Function} validate - A compiled ajv validator
+ * @return {{parsed: Object, errors: Array<string>}} The parsed JSON (or {rawText}) and any errors
+ */
+function checkResponse(raw, validate) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    return {parsed: {rawText: raw}, errors: [`Response is not valid JSON: ${error.message}`]};
+  }
+
+  if (validate(parsed)) {
+    return {parsed, errors: []};
+  }
+  const errors = validate.errors.map((err) => `${err.instancePath || "(root)"} ${err.message}`);
+  return {parsed, errors};
+}
+
+/**
+ * Generates JSON from the model, validating it and asking the model to repair invalid output
+ * @param {Object} model - A generative model exposing generateContent()
+ * @param {Array<Object>} contents - The prompt contents (system + user turns)
+ * @param {string} schemaName - Key of the schema in `validators`, e.g. "resumeAnalysis"
+ * @return {Promise<{parsed: Object, validation: Object}>} The best result and its validation status
+ */
+async function generateValidatedJson(model, contents, schemaName) {
+  const validate = validators[schemaName];
+  if (!validate) {
+    throw new Error(`Unknown output schema: ${schemaName}`);
+  }
+
+  const history = [...contents];
+  let result;
+  let attempts = 0;
+
+  while (attempts < MAX_ATTEMPTS) {
+    attempts++;
+    const resp = await model.generateContent({
+      contents: history,
+      generationConfig: {responseMimeType: "application/json"},
+    });
+    const raw = resp.response?.candidates?.[0]?.content?.parts?.[0]?.text || "{}";
+    result = checkResponse(raw, validate);
+
+    if (result.errors.length === 0) {
+      return {
+        parsed: result.parsed,
+        validation: {status: attempts === 1 ? "valid" : "repaired", attempts, errors: []},
+      };
+    }
+
+    logger.warn(`Model output failed ${schemaName} validation (attempt ${attempts})`, {errors: result.errors});
+    history.push(
+        {role: "model", parts: [{text: raw}]},
+        {role: "user", parts: [{text: `Your previous response does not match the required schema:
+${result.errors.map((err) => `- ${err}`).join("\n")}
+
+Return the corrected STRICT JSON only. Do not include explanations.`}]},
+    );
+  }
+
+  return {
+    parsed: result.parsed,
+    validation: {status: "invalid", attempts, errors: result.errors},
+  };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateValidatedJson,
+};
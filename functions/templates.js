@@ -0,0 +1,436 @@
+/**
+ * Resume templates.
+ *
+ * The structured resume sent by gen.html (collectFormData) is first turned into
+ * a template-independent model (header + ordered sections). Each template then
+ * renders that model twice: as HTML for the live preview, and as a PDF through
+ * pdfRenderer.renderDocument() for generatePdf. Both renderings share the same
+ * layout decisions (column split, fonts, section order), so the preview matches
+ * the generated PDF closely.
+ */
+
+const {renderDocument} = require("./pdfRenderer");
+
+const TEMPLATES = {
+  classic: {
+    name: "Classic",
+    description: "Single column with serif type and ruled section headings.",
+    fontFamily: "Georgia, 'Times New Roman', serif",
+    fontSize: 10.5,
+    accent: "#222222",
+  },
+  modern: {
+    name: "Modern",
+    description: "Two columns: contact details, skills and education in a sidebar.",
+    fontFamily: "Helvetica, Arial, sans-serif",
+    fontSize: 10,
+    accent: "#2563eb",
+    sidebar: ["contact", "skills", "education", "certifications", "languages"],
+  },
+  compact: {
+    name: "Compact",
+    description: "Dense single column that is shrunk to fit on one page.",
+    fontFamily: "Helvetica, Arial, sans-serif",
+    fontSize: 9,
+    minFontSize: 7,
+    lineHeight: 1.2,
+    margins: "24px",
+    accent: "#333333",
+    onePage: true,
+  },
+};
+
+const DEFAULT_TEMPLATE = "classic";
+
+// CSS page sizes used by the HTML preview
+const PAGE_DIMENSIONS = {
+  Letter: {width: "8.5in", minHeight: "11in"},
+  A4: {width: "210mm", minHeight: "297mm"},
+};
+
+/**
+ * Returns the public description of all templates (for pickers)
+ * @return {Array<{id: string, name: string, description: string}>} The templates
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([id, t]) => ({id, name: t.name, description: t.description}));
+}
+
+/**
+ * Trims a value to a string ("" for anything that is not a string)
+ * @param {*} value - Any value
+ * @return {string} The trimmed string
+ */
+function clean(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Normalizes a list of bullet strings
+ * @param {*} items - Any value, usually an array of strings
+ * @return {Array<string>} Non-empty trimmed strings
+ */
+function cleanList(items) {
+  return (Array.isArray(items) ? items : []).map(clean).filter(Boolean);
+}
+
+/**
+ * Normalizes skills into category groups. Accepts the grouped form
+ * [{category, items: [...]}] as well as a flat list of strings.
+ * @param {*} skills - The skills field of the structured resume
+ * @return {Array<{label: string, items: Array<string>}>} Non-empty groups
+ */
+function skillGroups(skills) {
+  const list = Array.isArray(skills) ? skills : [];
+  const flat = cleanList(list.filter((skill) => typeof skill === "string"));
+  const groups = list
+      .filter((skill) => skill && typeof skill === "object")
+      .map((group) => ({label: clean(group.category), items: cleanList(group.items)}));
+  if (flat.length) groups.unshift({label: "", items: flat});
+  return groups.filter((group) => group.items.length);
+}
+
+/**
+ * Joins the non-empty parts of a line
+ * @param {Array<*>} parts - Values to join
+ * @param {string} separator - The separator
+ * @return {string} The joined line
+ */
+function joinParts(parts, separator) {
+  return parts.map(clean).filter(Boolean).join(separator);
+}
+
+/**
+ * Builds the template-independent resume model from collectFormData() output
+ * @param {Object} data - The structured resume (name, email, education, ...)
+ * @return {Object} {name, contacts, sections: [{id, title, kind, ...}]}
+ */
+function buildResumeModel(data) {
+  const list = (items) => (Array.isArray(items) ? items : []);
+  const entries = (items, map) => list(items)
+      .filter((item) => item && typeof item === "object")
+      .map(map)
+      .filter((entry) => entry.heading || entry.subheading || entry.date || entry.bullets.length);
+
+  const sections = [
+    {id: "summary", title: "Summary", kind: "text", text: clean(data.summary)},
+    {id: "education", title: "Education", kind: "entries", entries: entries(data.education, (edu) => ({
+      heading: clean(edu.schoolName), subheading: "", date: clean(edu.duration), bullets: cleanList(edu.descriptions),
+    }))},
+    {id: "work", title: "Work Experience", kind: "entries", entries: entries(data.workExperience, (work) => ({
+      heading: clean(work.company), subheading: clean(work.position), date: clean(work.duration),
+      bullets: cleanList(work.descriptions),
+    }))},
+    {id: "projects", title: "Projects", kind: "entries", entries: entries(data.projectExperience, (project) => ({
+      heading: clean(project.name), subheading: "", date: clean(project.duration), bullets: cleanList(project.descriptions),
+    }))},
+    {id: "skills", title: "Skills", kind: "groups", groups: skillGroups(data.skills)},
+    {id: "certifications", title: "Certifications", kind: "entries", entries: entries(data.certifications, (cert) => ({
+      heading: clean(cert.name), subheading: clean(cert.issuer), date: clean(cert.date), bullets: [],
+    }))},
+    {id: "awards", title: "Awards", kind: "entries", entries: entries(data.awards, (award) => ({
+      heading: clean(award.title), subheading: clean(award.issuer), date: clean(award.date),
+      bullets: cleanList([award.description]),
+    }))},
+    {id: "languages", title: "Languages", kind: "list", items: list(data.languages)
+        .map((lang) => (typeof lang === "string" ? clean(lang) : joinParts([lang?.language, lang?.proficiency], " - ")))
+        .filter(Boolean)},
+    // Publications are plain strings, or {title, description} since the details field is kept
+    {id: "publications", title: "Publications", kind: "list", items: list(data.publications)
+        .map((pub) => (typeof pub === "string" ? clean(pub) : joinParts([pub?.title, pub?.description], ". ")))
+        .filter(Boolean)},
+  ].filter((section) => section.text || section.entries?.length || section.items?.length || section.groups?.length);
+
+  const links = list(data.links)
+      .map((link) => (typeof link === "string" ? clean(link) : joinParts([link?.label, link?.url], ": ")))
+      .filter(Boolean);
+
+  return {
+    name: clean(data.name),
+    contacts: [data.phone, data.additionalPhone, data.email, data.personalPage, data.linkedinLink]
+        .map(clean).filter(Boolean).concat(links),
+    sections,
+  };
+}
+
+/**
+ * Splits sections into sidebar/main columns for two-column templates
+ * @param {Object} model - The resume model
+ * @param {Object} template - The template definition
+ * @return {{sidebar: Array<Object>, main: Array<Object>}} The columns
+ */
+function splitColumns(model, template) {
+  const inSidebar = (section) => (template.sidebar || []).includes(section.id);
+  return {
+    sidebar: model.sections.filter(inSidebar),
+    main: model.sections.filter((section) => !inSidebar(section)),
+  };
+}
+
+/* ------------------------------- HTML ------------------------------- */
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Raw text
+ * @return {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+}
+
+/**
+ * Renders one section as HTML
+ * @param {Object} section - A model section
+ * @return {string} HTML
+ */
+function sectionHtml(section) {
+  let body = "";
+  if (section.kind === "text") {
+    body = `<p>${escapeHtml(section.text)}</p>`;
+  } else if (section.kind === "list") {
+    body = `<ul>${section.items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`;
+  } else if (section.kind === "groups") {
+    body = section.groups.map((group) =>
+      `<p>${group.label ? `<strong>${escapeHtml(group.label)}:</strong> ` : ""}${group.items.map(escapeHtml).join(" · ")}</p>`,
+    ).join("");
+  } else {
+    body = section.entries.map((entry) => `
+      <div class="entry">
+        <div class="entry-head"><strong>${escapeHtml(entry.heading)}</strong><span>${escapeHtml(entry.date)}</span></div>
+        ${entry.subheading ? `<div class="entry-sub">${escapeHtml(entry.subheading)}</div>` : ""}
+        ${entry.bullets.length ? `<ul>${entry.bullets.map((b) => `<li>${escapeHtml(b)}</li>`).join("")}</ul>` : ""}
+      </div>`).join("");
+  }
+  return `<section class="section-${section.id}"><h2>${escapeHtml(section.title)}</h2>${body}</section>`;
+}
+
+/**
+ * Renders the resume as a standalone HTML page for the preview
+ * @param {Object} data - The structured resume
+ * @param {string} templateId - One of TEMPLATES
+ * @param {Object} [pageOptions] - {pageSize, margins, fontFamily, lineHeight}
+ * @return {string} HTML document
+ */
+function renderResumeHtml(data, templateId, pageOptions = {}) {
+  const id = Object.hasOwn(TEMPLATES, templateId) ? templateId : DEFAULT_TEMPLATE;
+  const template = TEMPLATES[id];
+  const model = buildResumeModel(data);
+  const page = PAGE_DIMENSIONS[pageOptions.pageSize] || PAGE_DIMENSIONS.Letter;
+  // Page options are interpolated into CSS, so keep them from closing the rule or the <style> tag
+  const css = (value) => String(value).replace(/[;{}<>]/g, "");
+  const fontFamily = css(pageOptions.fontFamily || template.fontFamily);
+  const lineHeight = Number(pageOptions.lineHeight) || template.lineHeight || 1.5;
+  const margins = css(pageOptions.margins || template.margins || "36px");
+
+  const header = `
+    <header>
+      <h1>${escapeHtml(model.name)}</h1>
+      ${template.sidebar ? "" : `<div class="contacts">${model.contacts.map(escapeHtml).join(" | ")}</div>`}
+    </header>`;
+
+  let body;
+  if (template.sidebar) {
+    const {sidebar, main} = splitColumns(model, template);
+    const contact = model.contacts.length ?
+      `<section><h2>Contact</h2>${model.contacts.map((c) => `<p>${escapeHtml(c)}</p>`).join("")}</section>` : "";
+    body = `
+      <div class="columns">
+        <aside>${contact}${sidebar.map(sectionHtml).join("")}</aside>
+        <main>${header}${main.map(sectionHtml).join("")}</main>
+      </div>`;
+  } else {
+    body = header + model.sections.map(sectionHtml).join("");
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(model.name || "Resume")}</title>
+<style>
+  body { margin: 0; background: #e5e7eb; }
+  .page { box-sizing: border-box; width: ${page.width}; min-height: ${page.minHeight}; margin: 16px auto; padding: ${margins};
+    background: white; font-family: ${fontFamily}; font-size: ${template.fontSize}pt; line-height: ${lineHeight};
+    color: #111; box-shadow: 0 2px 8px rgba(0,0,0,0.15); }
+  h1 { margin: 0 0 4px; font-size: 2em; color: ${template.accent}; ${template.sidebar ? "" : "text-align: center;"} }
+  .contacts { text-align: center; margin-bottom: 8px; }
+  h2 { font-size: 1.15em; text-transform: uppercase; color: ${template.accent}; margin: 12px 0 4px;
+    ${id === "classic" ? "border-bottom: 1px solid #222;" : ""} }
+  p { margin: 0 0 4px; }
+  ul { margin: 2px 0 6px; padding-left: 16px; }
+  .entry { margin-bottom: 6px; }
+  .entry-head { display: flex; justify-content: space-between; gap: 8px; }
+  .entry-sub { font-style: italic; }
+  .columns { display: flex; gap: 18px; }
+  aside { flex: 0 0 32%; background: #f3f4f6; padding: 8px; box-sizing: border-box; }
+  main { flex: 1; }
+</style>
+</head>
+<body><div class="page template-${id}">${body}</div></body>
+</html>`;
+}
+
+/* -------------------------------- PDF ------------------------------- */
+
+/**
+ * Draws one section with pdfkit inside a column
+ * @param {Object} doc - The pdfkit document
+ * @param {Object} section - A model section
+ * @param {Object} ctx - {x, width, fonts, fontSize, lineGap, template, templateId}
+ */
+function drawSection(doc, section, ctx) {
+  const {x, width, fonts, fontSize, lineGap, template} = ctx;
+
+  doc.moveDown(0.5);
+  doc.font(fonts.bold).fontSize(fontSize + 1.5).fillColor(template.accent)
+      .text(section.title.toUpperCase(), x, doc.y, {width});
+  if (ctx.templateId === "classic") {
+    doc.moveTo(x, doc.y).lineTo(x + width, doc.y).lineWidth(0.75).strokeColor(template.accent).stroke();
+  }
+  doc.moveDown(0.2).fillColor("black").font(fonts.regular).fontSize(fontSize);
+
+  if (section.kind === "text") {
+    doc.text(section.text, x, doc.y, {width, lineGap});
+  } else if (section.kind === "list") {
+    section.items.forEach((item) => doc.text(`• ${item}`, x, doc.y, {width, lineGap, indent: 0}));
+  } else if (section.kind === "groups") {
+    section.groups.forEach((group) => {
+      if (group.label) {
+        doc.font(fonts.bold).text(`${group.label}: `, x, doc.y, {width, lineGap, continued: true});
+        doc.font(fonts.regular).text(group.items.join(" · "), {width, lineGap});
+      } else {
+        doc.text(group.items.join(" · "), x, doc.y, {width, lineGap});
+      }
+    });
+  } else {
+    section.entries.forEach((entry) => {
+      const y = doc.y;
+      const page = doc.page;
+      const dateWidth = entry.date ? doc.font(fonts.regular).widthOfString(entry.date) + 8 : 0;
+      doc.font(fonts.bold).text(entry.heading || " ", x, y, {width: width - dateWidth, lineGap});
+      if (entry.date) {
+        const afterHeading = doc.y;
+        // A heading that broke onto the next page starts at its top margin
+        const top = doc.page === page ? y : doc.page.margins.top;
+        doc.font(fonts.regular).text(entry.date, x, top, {width, align: "right", lineBreak: false});
+        doc.y = afterHeading;
+      }
+      if (entry.subheading) doc.font(fonts.italic).text(entry.subheading, x, doc.y, {width, lineGap});
+      doc.font(fonts.regular);
+      entry.bullets.forEach((bullet) => doc.text(`• ${bullet}`, x + 8, doc.y, {width: width - 8, lineGap}));
+      doc.moveDown(0.3);
+    });
+  }
+}
+
+/**
+ * Draws the whole resume for a template
+ * @param {Object} doc - The pdfkit document
+ * @param {Object} model - The resume model
+ * @param {Object} ctx - {options, margins, fonts} from renderDocument plus {template, templateId, fontSize}
+ */
+function drawResume(doc, model, ctx) {
+  const {margins, fonts, template, templateId, fontSize} = ctx;
+  const lineGap = Math.max(0, (ctx.options.lineHeight - 1) * fontSize);
+  const contentWidth = doc.page.width - margins.left - margins.right;
+  const base = {fonts, fontSize, lineGap, template, templateId};
+
+  if (!template.sidebar) {
+    doc.font(fonts.bold).fontSize(fontSize * 2).fillColor(template.accent)
+        .text(model.name || " ", margins.left, margins.top, {width: contentWidth, align: "center"});
+    doc.font(fonts.regular).fontSize(fontSize).fillColor("black")
+        .text(model.contacts.join(" | "), {width: contentWidth, align: "center"});
+    model.sections.forEach((section) => drawSection(doc, section, {...base, x: margins.left, width: contentWidth}));
+    return;
+  }
+
+  // Two columns: the (longer) main column is drawn first so that it can flow onto
+  // new pages; the sidebar then flows down the same pages from the first one
+  const gap = 18;
+  const sidebarWidth = contentWidth * 0.32;
+  const mainX = margins.left + sidebarWidth + gap;
+  const mainWidth = contentWidth - sidebarWidth - gap;
+  const {sidebar, main} = splitColumns(model, template);
+  const background = () => doc
+      .rect(margins.left - 6, margins.top - 6, sidebarWidth + 12, doc.page.height - margins.top - margins.bottom + 12)
+      .fill("#f3f4f6");
+
+  background();
+  doc.font(fonts.bold).fontSize(fontSize * 2).fillColor(template.accent)
+      .text(model.name || " ", mainX, margins.top, {width: mainWidth});
+  main.forEach((section) => drawSection(doc, section, {...base, x: mainX, width: mainWidth}));
+
+  // A page break in the sidebar moves to the next page the main column already
+  // used, and only adds a page past the last one
+  const lastMainPage = doc.bufferedPageRange().count - 1;
+  let sidebarPage = 0;
+  const continueOnNewPage = doc.continueOnNewPage;
+  doc.continueOnNewPage = function(pageOptions) {
+    sidebarPage += 1;
+    if (sidebarPage <= lastMainPage) {
+      doc.switchToPage(sidebarPage);
+      doc.y = margins.top;
+    } else {
+      continueOnNewPage.call(doc, pageOptions);
+    }
+    const fill = doc._fillColor; // pdfkit re-applies it to the text that continues here
+    background();
+    if (fill) doc.fillColor(...fill);
+    return doc;
+  };
+
+  doc.switchToPage(0);
+  doc.y = margins.top;
+  if (model.contacts.length) {
+    drawSection(doc, {id: "contact", title: "Contact", kind: "list", items: model.contacts},
+        {...base, x: margins.left, width: sidebarWidth});
+  }
+  sidebar.forEach((section) => drawSection(doc, section, {...base, x: margins.left, width: sidebarWidth}));
+  delete doc.continueOnNewPage;
+}
+
+/**
+ * Renders the resume to a PDF buffer with the given template
+ * @param {Object} data - The structured resume
+ * @param {string} templateId - One of TEMPLATES
+ * @param {Object} input - txt_to_pdf page options (title, pageSize, margins, headerHtml, ...)
+ * @return {Promise<{buffer: Buffer, pageCount: number, options: Object}>} The PDF
+ */
+async function renderResumePdf(data, templateId, input = {}) {
+  const id = Object.hasOwn(TEMPLATES, templateId) ? templateId : DEFAULT_TEMPLATE;
+  const template = TEMPLATES[id];
+  const model = buildResumeModel(data);
+  const pageInput = {
+    ...input,
+    fontFamily: input.fontFamily || template.fontFamily,
+    lineHeight: input.lineHeight || template.lineHeight,
+    margins: input.margins || template.margins,
+  };
+
+  const render = (fontSize) => renderDocument(pageInput, (doc, ctx) =>
+    drawResume(doc, model, {...ctx, template, templateId: id, fontSize}));
+
+  // One-page templates shrink the type until everything fits (or the minimum is reached)
+  let fontSize = template.fontSize;
+  let rendered = await render(fontSize);
+  while (template.onePage && rendered.pageCount > 1 && fontSize > template.minFontSize) {
+    fontSize -= 0.5;
+    rendered = await render(fontSize);
+  }
+  return rendered;
+}
+
+module.exports = {
+  TEMPLATES,
+  DEFAULT_TEMPLATE,
+  listTemplates,
+  buildResumeModel,
+  renderResumeHtml,
+  renderResumePdf,
+  escapeHtml,
+};
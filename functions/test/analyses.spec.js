@@ -0,0 +1,123 @@
+const assert = require("assert");
+const {emulator, initAdmin, clearFirestore} = require("./helpers");
+const {appendAnalysis, findAnalysis, diffAnalyses} = require("../analyses");
+const {jobIdFor} = require("../jobs");
+
+(emulator ? describe : describe.skip)("appendAnalysis() (emulator)", () => {
+  const db = initAdmin();
+  const fileID = "file-1";
+  const analysis = (summary) => ({type: "generic", content: {summary}});
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await db.collection("file").doc(fileID).set({owner: "user-1", numAnalysis: 0, analysis: {}});
+  });
+
+  it("numbers concurrent appends without gaps or reuse", async () => {
+    const results = await Promise.all(Array.from({length: 5}, (_, i) =>
+      appendAnalysis(fileID, analysis(`run ${i}`), {dedupeKey: `job-${i}`})));
+
+    const ids = results.map((result) => result.analysisID).sort();
+    assert.deepStrictEqual(ids, Array.from({length: 5}, (_, i) => `${fileID}-${i + 1}`).sort());
+    assert.ok(results.every((result) => result.created));
+
+    const file = (await db.collection("file").doc(fileID).get()).data();
+    assert.strictEqual(file.numAnalysis, 5);
+    assert.deepStrictEqual(Object.keys(file.analysis).map(Number).sort((a, b) => a - b), [1, 2, 3, 4, 5]);
+
+    // The nextAnalysis chain visits every analysis once, in order
+    for (let n = 1; n < 5; n++) {
+      const doc = await db.collection("analysis").doc(`${fileID}-${n}`).get();
+      assert.strictEqual(doc.data().nextAnalysis, `${fileID}-${n + 1}`);
+    }
+  });
+
+  it("returns the existing analysis for a redelivered upload event", async () => {
+    const jobId = jobIdFor("analyzeUpload", "user-1", "storage-event-1");
+    const first = await appendAnalysis(fileID, analysis("first"), {dedupeKey: jobId});
+    const [second, third] = await Promise.all([
+      appendAnalysis(fileID, analysis("again"), {dedupeKey: jobIdFor("analyzeUpload", "user-1", "storage-event-1")}),
+      appendAnalysis(fileID, analysis("again"), {dedupeKey: jobId}),
+    ]);
+
+    assert.deepStrictEqual(first, {analysisID: `${fileID}-1`, created: true});
+    assert.deepStrictEqual(second, {analysisID: `${fileID}-1`, created: false});
+    assert.deepStrictEqual(third, {analysisID: `${fileID}-1`, created: false});
+    assert.strictEqual((await db.collection("file").doc(fileID).get()).data().numAnalysis, 1);
+    assert.strictEqual(await findAnalysis(jobId), `${fileID}-1`);
+  });
+
+  it("adds one regeneration per client requestId", async () => {
+    const root = await appendAnalysis(fileID, analysis("root"), {dedupeKey: "upload"});
+    const regenerate = (requestId) => appendAnalysis(fileID, analysis("regenerated"), {
+      dedupeKey: jobIdFor("generateNewAnalysis", "user-1", requestId),
+      parentAnalysisID: root.analysisID,
+    });
+
+    const first = await regenerate("request-a");
+    const resubmitted = await regenerate("request-a");
+    const other = await regenerate("request-b");
+
+    assert.strictEqual(resubmitted.analysisID, first.analysisID);
+    assert.strictEqual(resubmitted.created, false);
+    assert.strictEqual(other.analysisID, `${fileID}-3`);
+
+    const parent = (await db.collection("analysis").doc(root.analysisID).get()).data();
+    assert.deepStrictEqual(parent.children, [`${fileID}-2`, `${fileID}-3`]);
+  });
+
+  it("rejects a parent from another file", async () => {
+    await db.collection("analysis").doc("other-1").set({fileID: "other"});
+    await assert.rejects(appendAnalysis(fileID, analysis("x"), {parentAnalysisID: "other-1"}),
+        (error) => error.status === 400);
+  });
+});
+
+describe("diffAnalyses()", () => {
+  const from = {
+    analysisID: "file-1-1",
+    score: 60,
+    content: {
+      summary: "Backend engineer",
+      strengths: ["Go", "APIs"],
+      keywords: {skills: ["Go", "SQL"], seniority: "mid"},
+    },
+  };
+
+  it("compares list fields ignoring case and whitespace", () => {
+    const diff = diffAnalyses(from, {
+      analysisID: "file-1-2",
+      score: 60,
+      content: {
+        summary: "Backend engineer",
+        strengths: [" go ", "Testing"],
+        keywords: {skills: ["Go", "SQL"], seniority: "mid"},
+      },
+    });
+    assert.deepStrictEqual(diff.lists.strengths, {added: ["Testing"], removed: ["APIs"], kept: [" go "]});
+    assert.deepStrictEqual(diff.lists["keywords.skills"], {added: [], removed: [], kept: ["Go", "SQL"]});
+    assert.ok(!("gaps" in diff.lists));
+    assert.deepStrictEqual(diff.changedFields, ["strengths"]);
+    assert.deepStrictEqual(diff.score, {from: 60, to: 60, delta: 0});
+  });
+
+  it("reports summary, seniority and score changes", () => {
+    const diff = diffAnalyses(from, {
+      analysisID: "file-1-3",
+      score: 75,
+      feedback: "Focus on leadership",
+      content: {...from.content, summary: "Senior backend engineer", keywords: {...from.content.keywords, seniority: "senior"}},
+    });
+    assert.deepStrictEqual(diff.changedFields, ["summary", "keywords.seniority", "score"]);
+    assert.deepStrictEqual(diff.seniority, {from: "mid", to: "senior", changed: true});
+    assert.strictEqual(diff.score.delta, 15);
+    assert.deepStrictEqual(diff.to, {analysisID: "file-1-3", index: 3, type: "generic", model: null,
+      feedback: "Focus on leadership"});
+  });
+
+  it("has no score when neither analysis was scored", () => {
+    const diff = diffAnalyses({analysisID: "file-1-1", content: {}}, {analysisID: "file-1-2", content: {}});
+    assert.strictEqual(diff.score, null);
+    assert.deepStrictEqual(diff.changedFields, []);
+  });
+});
@@ -0,0 +1,21 @@
+const assert = require("assert");
+const {ownedPath} = require("../files");
+
+describe("ownedPath()", () => {
+  const denied = (error) => error.status === 403 && error.code === "permission-denied";
+
+  it("returns a path in the owner's folder", () => {
+    assert.strictEqual(ownedPath({owner: "user-1", path: "user-1/resume.pdf"}), "user-1/resume.pdf");
+  });
+
+  it("rejects a path in another user's folder", () => {
+    assert.throws(() => ownedPath({owner: "user-1", path: "user-2/resume.pdf"}), denied);
+    assert.throws(() => ownedPath({owner: "user-1", path: "user-10/resume.pdf"}), denied);
+  });
+
+  it("rejects files without an owner or a path", () => {
+    assert.throws(() => ownedPath({path: "user-1/resume.pdf"}), denied);
+    assert.throws(() => ownedPath({owner: "user-1"}), denied);
+    assert.throws(() => ownedPath({owner: "", path: "/resume.pdf"}), denied);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Shared setup for the function tests.
+ *
+ * Unit tests run anywhere. Tests that need Firestore run against the emulator
+ * (`npm run test:emulator`, which sets FIRESTORE_EMULATOR_HOST) and are skipped
+ * otherwise.
+ */
+
+const admin = require("firebase-admin");
+const fetch = require("node-fetch");
+
+const PROJECT_ID = "demo-resume-tests";
+const emulator = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+/**
+ * Initializes the Admin SDK once for all tests
+ * @return {Object} The Firestore client
+ */
+function initAdmin() {
+  if (!admin.apps.length) admin.initializeApp({projectId: PROJECT_ID});
+  return admin.firestore();
+}
+
+/**
+ * Deletes every document in the emulator's database
+ * @return {Promise<void>}
+ */
+async function clearFirestore() {
+  const url = `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`;
+  await fetch(url, {method: "DELETE"});
+}
+
+module.exports = {
+  emulator,
+  initAdmin,
+  clearFirestore,
+};
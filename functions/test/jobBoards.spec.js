@@ -0,0 +1,48 @@
+const assert = require("assert");
+const {buildLinks} = require("../jobBoards");
+
+describe("buildLinks()", () => {
+  const analysis = {
+    type: "generic",
+    content: {role_suggestions: ["Backend Engineer"], keywords: {skills: ["Go", "C++", "SQL"]}},
+  };
+  const preferences = (overrides) => ({region: "us", boards: ["linkedin"], recencyDays: 7, ...overrides});
+  const urlOf = (result, boardId) => result.links.find((link) => link.boardId === boardId).url;
+
+  it("searches for the role and the top skills", () => {
+    const result = buildLinks(analysis, preferences());
+    assert.strictEqual(result.role, "Backend Engineer");
+    assert.deepStrictEqual(result.skills, ["Go", "C++"]);
+    assert.strictEqual(urlOf(result, "linkedin"),
+        "https://www.linkedin.com/jobs/search/?keywords=Backend%20Engineer%20Go%20C%2B%2B" +
+        "&location=United%20States&f_TPR=r604800");
+  });
+
+  it("uses the board's host for the region and a slug of the role", () => {
+    const result = buildLinks(analysis, preferences({region: "hk", boards: ["indeed", "jobsdb"], recencyDays: 3}));
+    assert.strictEqual(urlOf(result, "indeed"),
+        "https://hk.indeed.com/jobs?q=Backend%20Engineer%20Go%20C%2B%2B&l=Hong%20Kong&fromage=3");
+    assert.strictEqual(urlOf(result, "jobsdb"), "https://hk.jobsdb.com/backend-engineer-jobs?daterange=3");
+  });
+
+  it("lists preferred boards that do not serve the region", () => {
+    const result = buildLinks(analysis, preferences({region: "th", boards: ["glassdoor", "linkedin", "seek"]}));
+    assert.deepStrictEqual(result.links.map((link) => link.boardId), ["linkedin"]);
+    assert.deepStrictEqual(result.unavailable, [{boardId: "glassdoor", name: "Glassdoor"}, {boardId: "seek", name: "SEEK"}]);
+  });
+
+  it("takes the role of a job match from its job description", () => {
+    const result = buildLinks({
+      type: "targeted",
+      jobDescription: {title: " Data Analyst "},
+      content: {matched_keywords: ["Python"]},
+    }, preferences({boards: ["wellfound"]}));
+    assert.strictEqual(result.role, "Data Analyst");
+    assert.strictEqual(urlOf(result, "wellfound"), "https://wellfound.com/role/data-analyst");
+  });
+
+  it("rejects an analysis with nothing to search for", () => {
+    assert.throws(() => buildLinks({type: "generic", content: {}}, preferences()),
+        (error) => error.status === 400 && error.code === "invalid-argument");
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require("assert");
+const {emulator, initAdmin, clearFirestore} = require("./helpers");
+const {HttpError} = require("../auth");
+const {storableParams, jobDocument, createJob, runJob} = require("../jobs");
+const {resolveModelChoice} = require("../llm");
+
+describe("jobs", () => {
+  const db = initAdmin();
+
+  describe("storableParams()", () => {
+    it("drops undefined fields at any depth", () => {
+      assert.deepStrictEqual(
+          storableParams({a: 1, b: undefined, c: {d: undefined, e: "x"}, f: [1, undefined, {g: undefined}]}),
+          {a: 1, c: {e: "x"}, f: [1, null, {}]},
+      );
+    });
+
+    it("keeps null, false and empty strings", () => {
+      assert.deepStrictEqual(storableParams({a: null, b: false, c: ""}), {a: null, b: false, c: ""});
+    });
+  });
+
+  describe("jobDocument()", () => {
+    it("is accepted by Firestore when no model was chosen", async () => {
+      const llmChoice = await resolveModelChoice(undefined, null);
+      assert.deepStrictEqual(llmChoice, {});
+
+      const doc = jobDocument("analyzeJobMatch", "user-1",
+          {fileID: "f1", jobDescription: "Build things", jobTitle: undefined, llmChoice},
+          {fileID: "f1", maxAttempts: 3});
+      // WriteBatch.create() validates the data without sending it
+      assert.doesNotThrow(() => db.batch().create(db.collection("jobs").doc("job-1"), doc));
+      assert.ok(!("jobTitle" in doc.params));
+    });
+
+    it("would be rejected with the undefined fields left in", () => {
+      const doc = jobDocument("generatePdf", "user-1", {}, {fileID: null, maxAttempts: 3});
+      doc.params = {llmChoice: {provider: undefined, model: undefined}};
+      assert.throws(() => db.batch().create(db.collection("jobs").doc("job-2"), doc), /undefined/);
+    });
+  });
+
+  (emulator ? describe : describe.skip)("createJob() (emulator)", () => {
+    beforeEach(clearFirestore);
+
+    it("queues a job without a model choice", async () => {
+      const jobId = await createJob("generatePdf", "user-1", {body: {name: "A"}, llmChoice: {}});
+      const job = (await db.collection("jobs").doc(jobId).get()).data();
+      assert.strictEqual(job.status, "queued");
+      assert.deepStrictEqual(job.params, {body: {name: "A"}, llmChoice: {}});
+    });
+
+    it("keeps the existing job for a taken jobId", async () => {
+      const first = await createJob("generatePdf", "user-1", {n: 1}, {jobId: "fixed"});
+      const second = await createJob("generatePdf", "user-1", {n: 2}, {jobId: "fixed"});
+      assert.strictEqual(first, second);
+      assert.deepStrictEqual((await db.collection("jobs").doc("fixed").get()).data().params, {n: 1});
+    });
+  });
+
+  (emulator ? describe : describe.skip)("job quota (emulator)", () => {
+    beforeEach(clearFirestore);
+
+    const used = async (owner, action) => {
+      const periods = await db.collection("usage").doc(owner).collection("periods").get();
+      return periods.docs.map((doc) => doc.data()[action] || 0);
+    };
+
+    it("charges concurrent resubmits of one request once", async () => {
+      const jobIds = await Promise.all(Array.from({length: 4}, () =>
+        createJob("generatePdf", "user-1", {}, {jobId: "request-1", quota: "pdf"})));
+      assert.deepStrictEqual(new Set(jobIds), new Set(["request-1"]));
+      assert.deepStrictEqual(await used("user-1", "pdf"), [1, 1]);
+    });
+
+    it("refunds a job that fails for good", async () => {
+      const jobId = await createJob("generatePdf", "user-1", {}, {quota: "pdf"});
+      await runJob(jobId, {
+        generatePdf: async () => {
+          throw new HttpError(422, "failed-precondition", "Nothing to render.");
+        },
+      });
+      assert.strictEqual((await db.collection("jobs").doc(jobId).get()).data().status, "failed");
+      assert.deepStrictEqual(await used("user-1", "pdf"), [0, 0]);
+    });
+
+    it("keeps the charge while a failed job will be retried", async () => {
+      const jobId = await createJob("generatePdf", "user-1", {}, {quota: "pdf"});
+      await assert.rejects(runJob(jobId, {
+        generatePdf: async () => {
+          throw new Error("Render service unavailable");
+        },
+      }));
+      assert.strictEqual((await db.collection("jobs").doc(jobId).get()).data().status, "queued");
+      assert.deepStrictEqual(await used("user-1", "pdf"), [1, 1]);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const assert = require("assert");
+const {resolveModelChoice} = require("../llm");
+
+describe("llm", () => {
+  describe("resolveModelChoice()", () => {
+    const saved = {...process.env};
+    afterEach(() => {
+      for (const key of ["FUNCTIONS_EMULATOR", "LLM_ALLOW_MOCK", "LLM_PROVIDER"]) {
+        if (saved[key] === undefined) delete process.env[key];
+        else process.env[key] = saved[key];
+      }
+    });
+
+    it("returns only the fields that were chosen", async () => {
+      assert.deepStrictEqual(await resolveModelChoice({model: "gemini-2.5-pro"}, null), {model: "gemini-2.5-pro"});
+      assert.deepStrictEqual(await resolveModelChoice(null, null), {});
+    });
+
+    it("rejects the mock provider outside the emulator", async () => {
+      delete process.env.FUNCTIONS_EMULATOR;
+      delete process.env.LLM_ALLOW_MOCK;
+      delete process.env.LLM_PROVIDER;
+      await assert.rejects(resolveModelChoice({provider: "mock"}, null), /only available in the emulator/);
+    });
+
+    it("accepts the mock provider in the emulator", async () => {
+      process.env.FUNCTIONS_EMULATOR = "true";
+      assert.deepStrictEqual(await resolveModelChoice({provider: "mock"}, null), {provider: "mock"});
+    });
+
+    it("rejects unknown providers and odd model names", async () => {
+      await assert.rejects(resolveModelChoice({provider: "nope"}, null), /Unknown LLM provider/);
+      await assert.rejects(resolveModelChoice({model: "a b"}, null), /Invalid model name/);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const assert = require("assert");
+const {emulator, initAdmin, clearFirestore} = require("./helpers");
+const {parseCsv, importPostings} = require("../postings");
+
+describe("postings", () => {
+  const db = initAdmin();
+
+  describe("parseCsv()", () => {
+    it("keys rows by the header", () => {
+      assert.deepStrictEqual(parseCsv("id,title\n1,Engineer\n2,Designer\n"), [
+        {id: "1", title: "Engineer"},
+        {id: "2", title: "Designer"},
+      ]);
+    });
+
+    it("reads quoted fields with commas, escaped quotes and line breaks", () => {
+      const rows = parseCsv("id,title,description\r\n1,\"Engineer, Backend\",\"Say \"\"hi\"\"\nthen code\"\r\n");
+      assert.deepStrictEqual(rows, [{id: "1", title: "Engineer, Backend", description: "Say \"hi\"\nthen code"}]);
+    });
+
+    it("skips blank lines, trims header names and fills missing cells", () => {
+      const rows = parseCsv(" id , title ,skills\n\n1,Engineer\n   \n2,Designer,Figma;Sketch");
+      assert.deepStrictEqual(rows, [
+        {id: "1", title: "Engineer", skills: ""},
+        {id: "2", title: "Designer", skills: "Figma;Sketch"},
+      ]);
+    });
+
+    it("returns no rows for an empty feed or a header alone", () => {
+      assert.deepStrictEqual(parseCsv(""), []);
+      assert.deepStrictEqual(parseCsv("id,title\n"), []);
+    });
+  });
+
+  (emulator ? describe : describe.skip)("importPostings() (emulator)", () => {
+    beforeEach(clearFirestore);
+
+    const sourceIds = async (source) => {
+      const snapshot = await db.collection("jobPostings").where("source", "==", source).get();
+      return snapshot.docs.map((doc) => doc.data().externalId).sort();
+    };
+
+    it("replaces the postings of the feed and leaves other feeds alone", async () => {
+      await importPostings([{id: "1", title: "Engineer"}, {id: "2", title: "Designer"}], {source: "acme"});
+      await importPostings([{id: "9", title: "Analyst"}], {source: "other"});
+
+      const result = await importPostings("id,title\n2,Senior Designer\n3,Writer\n", {source: "acme", format: "csv"});
+      assert.deepStrictEqual(result, {source: "acme", imported: 2, skipped: 0, removed: 1});
+      assert.deepStrictEqual(await sourceIds("acme"), ["2", "3"]);
+      assert.deepStrictEqual(await sourceIds("other"), ["9"]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const assert = require("assert");
+const {RUBRIC, scoreRubric} = require("../rubric");
+
+describe("scoreRubric()", () => {
+  const rating = (value) => Object.fromEntries(RUBRIC.map((criterion) => [criterion.id, value]));
+
+  it("weights add up to 1", () => {
+    const total = RUBRIC.reduce((sum, criterion) => sum + criterion.weight, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+  });
+
+  it("maps 0-5 ratings onto 0-100", () => {
+    assert.strictEqual(scoreRubric(rating(0)), 0);
+    assert.strictEqual(scoreRubric(rating(5)), 100);
+    assert.strictEqual(scoreRubric(rating(3)), 60);
+  });
+
+  it("applies the criterion weights", () => {
+    // impact weighs 0.25: 5 there and 0 elsewhere is 25
+    assert.strictEqual(scoreRubric({...rating(0), impact: 5}), 25);
+    assert.strictEqual(scoreRubric({...rating(0), structure: 5}), 15);
+  });
+
+  it("clamps out-of-range ratings and accepts numeric strings", () => {
+    assert.strictEqual(scoreRubric(rating(9)), 100);
+    assert.strictEqual(scoreRubric(rating(-2)), 0);
+    assert.strictEqual(scoreRubric(rating("4")), 80);
+  });
+
+  it("has no score when the rubric or a criterion is missing", () => {
+    assert.strictEqual(scoreRubric(undefined), null);
+    const partial = rating(4);
+    delete partial.impact;
+    assert.strictEqual(scoreRubric(partial), null);
+    assert.strictEqual(scoreRubric({...rating(4), clarity: "good"}), null);
+  });
+});
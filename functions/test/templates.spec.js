@@ -0,0 +1,67 @@
+const assert = require("assert");
+const {buildResumeModel, renderResumePdf} = require("../templates");
+
+const many = (count, make) => Array.from({length: count}, (_, i) => make(i));
+
+describe("templates", () => {
+  describe("buildResumeModel()", () => {
+    it("leaves out empty sections and entries", () => {
+      const model = buildResumeModel({
+        name: " Jane ",
+        summary: "",
+        workExperience: [{company: "Co", position: "Dev", duration: "2020", descriptions: ["Shipped", ""]}, {}],
+        projects: [],
+      });
+      assert.strictEqual(model.name, "Jane");
+      assert.deepStrictEqual(model.sections.map((section) => section.id), ["work"]);
+      assert.deepStrictEqual(model.sections[0].entries,
+          [{heading: "Co", subheading: "Dev", date: "2020", bullets: ["Shipped"]}]);
+    });
+
+    it("lists contact details before links", () => {
+      const model = buildResumeModel({
+        email: "j@example.com",
+        phone: "555",
+        links: [{label: "GitHub", url: "github.com/j"}, "j.dev"],
+      });
+      assert.deepStrictEqual(model.contacts, ["555", "j@example.com", "GitHub: github.com/j", "j.dev"]);
+    });
+
+    it("accepts skills and languages as strings or objects", () => {
+      const model = buildResumeModel({
+        skills: ["Go, JS", {category: "Cloud", items: ["GCP", " "]}],
+        languages: ["English", {language: "Thai", proficiency: "Native"}],
+      });
+      const section = (id) => model.sections.find((entry) => entry.id === id);
+      assert.deepStrictEqual(section("skills").groups,
+          [{label: "", items: ["Go, JS"]}, {label: "Cloud", items: ["GCP"]}]);
+      assert.deepStrictEqual(section("languages").items, ["English", "Thai - Native"]);
+    });
+  });
+
+  describe("renderResumePdf()", () => {
+    const workExperience = many(12, (i) => ({
+      company: `Company ${i}`,
+      position: "Engineer",
+      duration: "2020",
+      descriptions: many(4, (j) => `Delivered piece of work ${j}, described at some length to fill the line`),
+    }));
+
+    const sidebar = {
+      certifications: many(24, (i) => ({name: `Certification ${i}`, issuer: "Issuer", date: "2021"})),
+      languages: many(10, (i) => `Language ${i}`),
+    };
+
+    it("flows a long sidebar down the main column's pages", async () => {
+      const mainOnly = await renderResumePdf({name: "A", workExperience}, "modern");
+      const withSidebar = await renderResumePdf({name: "A", workExperience, ...sidebar}, "modern");
+      assert.strictEqual(mainOnly.pageCount, 2);
+      assert.strictEqual(withSidebar.pageCount, 2);
+    });
+
+    it("adds only the pages a sidebar longer than the main column needs", async () => {
+      const {pageCount} = await renderResumePdf({name: "A", ...sidebar}, "modern");
+      assert.strictEqual(pageCount, 2);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Registration of uploaded resumes.
+ *
+ * The upload page writes the object straight to Storage at `{uid}/{name}` with
+ * the custom metadata {uid, uploadId} and creates nothing else. The finalize
+ * trigger (onResumeUploaded) calls registerUpload(), which checks the object and
+ * only then creates its `file` document and adds it to `user.files`. The owner
+ * is the folder the object is in, which storage.rules only lets that user write;
+ * the metadata only marks the object as an upload. The page waits for the
+ * outcome on
+ *
+ *   uploads/{uploadId}
+ *     {owner, path, filename, status: accepted|rejected, code, reason, fileID,
+ *      duplicateOf, updatedAt}
+ *
+ * Checks, in order: size, extension, magic bytes, PDF encryption, extractable
+ * text (with OCR for images and scans), and duplicate content (a SHA-256 of the
+ * bytes, per owner). A rejected object is deleted so nothing is left behind
+ * without a `file` document. Accepted files record how their text was read:
+ * extractionMethod ("text" or "ocr") and extractionConfidence (OCR only, 0-100).
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+const {SUPPORTED_TYPES, MIN_TEXT_CHARS, getExtension, textLength, extractContent} = require("./extractText");
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // keep in sync with storage.rules
+
+/**
+ * Checks that the bytes look like the type the extension claims
+ * @param {Buffer} buffer - The file content
+ * @param {string} ext - The extension
+ * @return {string|null} Why it does not, or null
+ */
+function signatureMismatch(buffer, ext) {
+  switch (ext) {
+    case "pdf":
+      // The header may follow a few junk bytes, as PDF readers accept
+      return buffer.subarray(0, 1024).includes("%PDF-") ? null : "This file is not a PDF.";
+    case "docx":
+    case "odt":
+      return buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) ?
+        null : `This file is not a ${SUPPORTED_TYPES[ext]} document.`;
+    case "png":
+      return buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) ?
+        null : "This file is not a PNG image.";
+    case "jpg":
+    case "jpeg":
+      return buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) ? null : "This file is not a JPEG image.";
+    case "txt":
+    case "md":
+      if (buffer.includes(0)) return "This file is not plain text.";
+      return Buffer.from(buffer.toString("utf8"), "utf8").equals(buffer) ? null : "This file is not UTF-8 text.";
+    default:
+      return null;
+  }
+}
+
+/**
+ * Runs the content checks on an uploaded file
+ * @param {Buffer} buffer - The file content
+ * @param {string} filePath - The path in Storage (for its extension)
+ * @return {Promise<Object>} {ok: true, contentHash, text, method, confidence} or {ok: false, code, reason}
+ */
+async function inspectUpload(buffer, filePath) {
+  const ext = getExtension(filePath);
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    return {ok: false, code: "too-large", reason: `Files can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`};
+  }
+  if (!Object.hasOwn(SUPPORTED_TYPES, ext)) {
+    return {
+      ok: false,
+      code: "unsupported-type",
+      reason: `Cannot analyze .${ext || "(no extension)"} files. ` +
+        `Supported types: ${Object.keys(SUPPORTED_TYPES).map((e) => `.${e}`).join(", ")}.`,
+    };
+  }
+  const mismatch = signatureMismatch(buffer, ext);
+  if (mismatch) return {ok: false, code: "type-mismatch", reason: mismatch};
+
+  // pdf.js cannot read encrypted PDFs without the password
+  const raw = ext === "pdf" ? buffer.toString("latin1") : "";
+  if (/\/Encrypt\s/.test(raw)) {
+    return {ok: false, code: "encrypted-pdf", reason: "This PDF is password-protected. Please upload an unprotected copy."};
+  }
+
+  let extracted;
+  try {
+    extracted = await extractContent(buffer, filePath);
+  } catch (error) {
+    logger.warn("Text extraction failed during upload checks", {filePath, message: error.message});
+    if (error.name === "PasswordException") {
+      return {ok: false, code: "encrypted-pdf", reason: "This PDF is password-protected. Please upload an unprotected copy."};
+    }
+    return {ok: false, code: "unreadable", reason: `This file could not be read: ${error.message}`};
+  }
+
+  if (textLength(extracted.text) < MIN_TEXT_CHARS) {
+    if (extracted.method === "ocr" || /\/Subtype\s*\/Image/.test(raw)) {
+      return {
+        ok: false,
+        code: "image-only",
+        reason: "No readable text was found in this scan or image. " +
+          "Please upload a sharper scan, a PDF exported from your editor, or a Word document.",
+      };
+    }
+    return {ok: false, code: "empty", reason: "This file contains no text to analyze."};
+  }
+
+  return {
+    ok: true,
+    contentHash: crypto.createHash("sha256").update(buffer).digest("hex"),
+    text: extracted.text,
+    method: extracted.method,
+    confidence: extracted.confidence,
+  };
+}
+
+/**
+ * Records the outcome of an upload for the upload page
+ * @param {string|null} uploadId - From the object's metadata (older clients send none)
+ * @param {Object} outcome - {owner, path, filename, status, code, reason, fileID, duplicateOf}
+ * @return {Promise<void>}
+ */
+async function recordOutcome(uploadId, outcome) {
+  if (!uploadId) return;
+  await admin.firestore().collection("uploads").doc(uploadId).set({
+    code: null,
+    reason: null,
+    fileID: null,
+    duplicateOf: null,
+    ...outcome,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Checks a finalized upload and creates its `file` document, at most once per object
+ * @param {Object} object - The Storage object of the finalize event ({name, bucket, size, contentType, metadata})
+ * @param {Object} bucket - The bucket (for downloading and deleting the object)
+ * @return {Promise<Object>} {accepted: true, owner, fileID, text, method} or
+ *   {accepted: false, owner, code, reason, duplicateOf}
+ */
+async function registerUpload(object, bucket) {
+  const filePath = object.name;
+  const owner = filePath.split("/")[0];
+  const uploadId = /^[\w-]{8,64}$/.test(object.metadata?.uploadId || "") ? object.metadata.uploadId : null;
+  const filename = object.metadata?.originalName || filePath.split("/").pop();
+  const base = {owner, path: filePath, filename};
+
+  const db = admin.firestore();
+  const fileID = crypto.createHash("sha256").update(`${owner}:${uploadId || `${filePath}#${object.generation}`}`)
+      .digest("hex").slice(0, 20);
+  const fileRef = db.collection("file").doc(fileID);
+
+  const reject = async ({code, reason, duplicateOf = null}) => {
+    logger.warn("Upload rejected", {filePath, owner, code});
+    await bucket.file(filePath).delete({ignoreNotFound: true});
+    await recordOutcome(uploadId, {...base, status: "rejected", code, reason, duplicateOf});
+    return {accepted: false, owner, code, reason, duplicateOf};
+  };
+
+  // Reject oversized objects before downloading them
+  if (Number(object.size) > MAX_UPLOAD_BYTES) {
+    return reject({code: "too-large", reason: `Files can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`});
+  }
+  const [buffer] = await bucket.file(filePath).download();
+  const inspection = await inspectUpload(buffer, filePath);
+  if (!inspection.ok) return reject(inspection);
+
+  const ext = getExtension(filePath);
+  const duplicateOf = await db.runTransaction(async (transaction) => {
+    const [fileDoc, duplicates] = await Promise.all([
+      transaction.get(fileRef),
+      transaction.get(db.collection("file")
+          .where("owner", "==", owner)
+          .where("contentHash", "==", inspection.contentHash)
+          .limit(2)),
+    ]);
+    const duplicate = duplicates.docs.find((doc) => doc.id !== fileID);
+    if (duplicate) return duplicate.id;
+    // A redelivered event: the file is already registered
+    if (fileDoc.exists && fileDoc.data().contentHash) return null;
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.set(fileRef, {
+      owner,
+      filename,
+      uploadDate: now,
+      path: filePath,
+      numAnalysis: 0,
+      analysis: {},
+      lastUpdate: now,
+      type: "Upload",
+      fileType: SUPPORTED_TYPES[ext],
+      contentType: object.contentType || null,
+      size: buffer.length,
+      contentHash: inspection.contentHash,
+      extractionMethod: inspection.method,
+      extractionConfidence: inspection.confidence,
+      status: "uploaded",
+    }, {merge: true});
+    transaction.set(db.collection("user").doc(owner), {
+      files: admin.firestore.FieldValue.arrayUnion(fileID),
+    }, {merge: true});
+    return null;
+  });
+
+  if (duplicateOf) {
+    const duplicate = (await db.collection("file").doc(duplicateOf).get()).data();
+    const name = duplicate?.filename || duplicateOf;
+    return reject({
+      code: "duplicate",
+      // A file in the trash still counts until it is purged
+      reason: duplicate?.deleted ?
+        `You already uploaded this file as "${name}", which is in the trash. Restore it from there instead.` :
+        `You already uploaded this file as "${name}".`,
+      duplicateOf,
+    });
+  }
+
+  await recordOutcome(uploadId, {...base, status: "accepted", fileID});
+  logger.info("Upload registered", {filePath, owner, fileID, method: inspection.method});
+  return {accepted: true, owner, fileID, text: inspection.text, method: inspection.method};
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  inspectUpload,
+  registerUpload,
+};